@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { main } = require('../src/cli');
+
+// Command-line client of the conversion service; see "nodebubblewrap --help".
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
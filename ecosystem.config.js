@@ -1,3 +1,6 @@
+// The API server and the build workers run as separate processes. A worker
+// gets SHUTDOWN_TIMEOUT (30 s by default) to finish or requeue its builds on
+// stop, so kill_timeout is a little longer.
 module.exports = {
     apps: [{
         name: 'NodeBubblewrap',
@@ -6,6 +9,7 @@ module.exports = {
         autorestart: true,
         watch: false,
         max_memory_restart: '1G',
+        kill_timeout: 35000,
         env: {
             NODE_ENV: 'development'
         },
@@ -16,5 +20,24 @@ module.exports = {
         out_file: 'logs/out.log',
         log_file: 'logs/combined.log',
         time: true
+    }, {
+        name: 'NodeBubblewrap-worker',
+        script: 'src/worker.js',
+        instances: 2,
+        exec_mode: 'fork',
+        autorestart: true,
+        watch: false,
+        max_memory_restart: '1G',
+        kill_timeout: 35000,
+        env: {
+            NODE_ENV: 'development'
+        },
+        env_production: {
+            NODE_ENV: 'production'
+        },
+        error_file: 'logs/worker-err.log',
+        out_file: 'logs/worker-out.log',
+        log_file: 'logs/worker-combined.log',
+        time: true
     }]
-};
\ No newline at end of file
+};
@@ -2,7 +2,6 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const sqlite3 = require('sqlite3').verbose();
 const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
@@ -15,23 +14,46 @@ const rateLimit = require('express-rate-limit');
 // const fetch = require('node-fetch');
 
 const config = require('./config/config');
-const { cleanupOldFiles } = require('./utils/cleanup');
-
-// Import the necessary classes from @bubblewrap/core, including signing tools.
-const { 
-  TwaManifest, 
-  TwaGenerator, 
-  GradleWrapper, 
-  AndroidSdkTools, 
-  JdkHelper, 
-  Config, 
-  JarSigner, 
-  KeyTool, 
-  ConsoleLog 
+const database = require('./services/database');
+const jobQueue = require('./services/jobQueue');
+const appVersions = require('./services/appVersions');
+const projectCache = require('./services/projectCache');
+const keystores = require('./services/keystores');
+const { requireAdmin } = require('./middleware/adminAuth');
+const { requireApiKey } = require('./middleware/apiKeyAuth');
+const apiKeys = require('./services/apiKeys');
+const webhooks = require('./services/webhooks');
+const artifacts = require('./services/artifacts');
+const batches = require('./services/batches');
+const jobFilters = require('./services/jobFilters');
+const retention = require('./services/retention');
+const preflight = require('./services/preflight');
+const metrics = require('./services/metrics');
+const workerRegistry = require('./services/workerRegistry');
+const manifestValidator = require('./services/manifestValidator');
+const manifestDiscovery = require('./services/manifestDiscovery');
+const manifestProcessor = require('./services/manifestProcessor');
+const { robustFetch } = require('./services/fetch');
+const { validateObject } = require('./utils/validate');
+const { sanitizeMessage } = require('./utils/sanitize');
+const { getJobLogPath } = require('./services/jobLogger');
+const { iconUpload } = require('./middleware/iconUpload');
+const { createBubblewrapConfig } = require('./services/bubblewrapConfig');
+const { isHttpUrl, parseConversionSpec, checkManifest, checkBatchManifests } = require('./services/conversionSpec');
+
+// Import the keystore tools from @bubblewrap/core.
+const {
+  JdkHelper,
+  KeyTool,
+  ConsoleLog
 } = require('@bubblewrap/core');
 
 const app = express();
 
+// The HTTP server, once listening, and whether SIGTERM was received.
+let server = null;
+let shuttingDown = false;
+
 // ─────────────────────────────────────────────────────────────────────────────
 // SECURITY MIDDLEWARE
 // ─────────────────────────────────────────────────────────────────────────────
@@ -41,7 +63,9 @@ app.use(cors());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100,
-  message: "Too many requests from this IP, please try again later."
+  message: "Too many requests from this IP, please try again later.",
+  // Monitoring probes poll these often.
+  skip: (req) => req.path === '/health' || req.path === '/metrics'
 });
 app.use(limiter);
 
@@ -49,427 +73,729 @@ app.use(limiter);
 app.use(express.json());
 
 // ─────────────────────────────────────────────────────────────────────────────
-// SQLITE DATABASE INITIALIZATION
+// JOB QUEUE
 // ─────────────────────────────────────────────────────────────────────────────
 
-const dbPath = path.join(__dirname, '..', 'jobs.sqlite');
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error("Error opening SQLite database:", err);
-  } else {
-    console.log("Connected to SQLite database");
-
-    // Create jobs table if it does not exist.
-    db.run(
-      `CREATE TABLE IF NOT EXISTS jobs (
-         jobId TEXT PRIMARY KEY,
-         status TEXT,
-         created INTEGER,
-         updated INTEGER,
-         files TEXT,
-         error TEXT
-       )`,
-      (err) => {
-        if (err) {
-          console.error("Error creating jobs table:", err);
-        }
-      }
-    );
+// Jobs are persisted in the SQLite "jobs" table (see services/jobQueue.js).
+// This process only enqueues them and reports on them; the builds run in
+// separate worker processes (src/worker.js) that claim jobs from the table.
 
-    // Create keystores table to store signing key options per domain.
-    db.run(
-      `CREATE TABLE IF NOT EXISTS keystores (
-         domain TEXT PRIMARY KEY,
-         jobId TEXT,
-         keystorePath TEXT,
-         password TEXT,
-         keypassword TEXT,
-         fullName TEXT,
-         organizationalUnit TEXT,
-         organization TEXT,
-         country TEXT
-       )`,
-      (err) => {
-        if (err) {
-          console.error("Error creating keystores table:", err);
-        }
-      }
-    );
+// Workers whose last heartbeat is older than this are not reported.
+const WORKER_MAX_AGE = config.jobLeaseDuration;
+
+// Authenticates download routes: a "signature" query parameter is checked by
+// the route itself, anything else needs an API key.
+function requireApiKeyOrSignature(req, res, next) {
+  if (req.query.signature !== undefined) return next();
+  requireApiKey(req, res, next);
+}
+
+// Refuses new jobs while the last health check failed.
+function requireHealthy(req, res, next) {
+  if (preflight.healthy) return next();
+  res.status(503).json({
+    error: 'The build environment is not ready. New jobs are not accepted.',
+    checks: preflight.failures()
+  });
+}
+
+// Removes the icon uploaded with a request that was rejected.
+function discardUpload(req) {
+  if (req.file) {
+    fs.rm(req.file.path, { force: true }, () => {});
   }
-});
+}
 
-// ─────────────────────────────────────────────────────────────────────────────
-// IN-MEMORY JOB STORE & QUEUE
-// ─────────────────────────────────────────────────────────────────────────────
+const SHA256_FINGERPRINT = /^([0-9A-Fa-f]{2}:){31}[0-9A-Fa-f]{2}$/;
 
-const jobs = {};
-const jobQueue = [];
-// let isProcessing = false;
+// Describes where a job is: "queued (3 ahead)", the current stage while it
+// runs (e.g. "gradle:assembleRelease" or "signing"), or its final status.
+async function describeProgress(row) {
+  if (row.status === 'pending') {
+    const ahead = await jobQueue.getQueuePosition(row);
+    return { queuePosition: ahead, progress: `queued (${ahead} ahead)` };
+  }
+  if (row.status === 'processing') {
+    return { queuePosition: null, progress: row.cancelRequested ? 'cancelling' : row.stage || 'starting' };
+  }
+  return { queuePosition: null, progress: row.status };
+}
 
-let activeJobs = 0;
+// Who submitted a request, stored with its jobs for support.
+function requestClient(req) {
+  return { ip: req.ip, userAgent: req.get('User-Agent') };
+}
 
-const maxJobs = process.env.maxProcess || 2
+// Parses a JSON column of a job row. A malformed value is logged and
+// reported as null, so one bad row does not break the whole response.
+function parseColumn(row, column) {
+  if (!row[column]) return null;
+  try {
+    return JSON.parse(row[column]);
+  } catch (e) {
+    console.error(`[Job ${row.jobId}] Error parsing the ${column} column:`, e.message);
+    return null;
+  }
+}
 
+// The parameters a job was submitted with, without secrets or server paths.
+function describeRequest(row) {
+  const { callbackSecret, iconPath, ...request } = parseColumn(row, 'payload') || {};
+  return { ...request, customIcon: Boolean(iconPath) };
+}
 
-function insertJob(jobId, status, created) {
-  db.run(
-    "INSERT INTO jobs (jobId, status, created, updated) VALUES (?, ?, ?, ?)",
-    [jobId, status, created, created],
-    (err) => {
-      if (err) console.error("Error inserting job:", err);
-    }
-  );
+// Parses the job listing query and responds with a page of matching jobs.
+// API keys only see their own jobs; admins may filter by apiKeyId.
+async function listJobs(req, res, { admin }) {
+  const { errors, filters, paging } = jobFilters.parse(req.query, { admin });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: "Missing or invalid parameters",
+      details: errors,
+    });
+  }
+  if (!admin) {
+    filters.apiKeyId = req.apiKey.id;
+  }
+  try {
+    const { jobs, total } = await jobQueue.list(filters, paging);
+    res.json({ jobs, total, limit: paging.limit, offset: paging.offset });
+  } catch (err) {
+    console.error('Error listing jobs:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
 }
 
-function updateJob(jobId, status, files, error) {
-  const updated = Date.now();
-  db.run(
-    "UPDATE jobs SET status = ?, files = ?, error = ?, updated = ? WHERE jobId = ?",
-    [status, files ? JSON.stringify(files) : null, error, updated, jobId],
-    (err) => {
-      if (err) console.error("Error updating job:", err);
+/**
+ * Queues a new job with the parameters of a failed one. The new job
+ * belongs to the same API key and records the original in `retryOf`.
+ * Admin retries are not counted against the key's quota.
+ */
+async function retryJob(req, res, row, { admin }) {
+  if (row.status !== 'failed') {
+    return res.status(409).json({ error: `Only failed jobs can be retried; this job is ${row.status}.` });
+  }
+  const payload = JSON.parse(row.payload || '{}');
+  if (payload.iconPath && !fs.existsSync(payload.iconPath)) {
+    return res.status(409).json({ error: 'The icon uploaded with this job is no longer available. Submit a new conversion.' });
+  }
+  if (!admin) {
+    const foreign = await foreignDomains([payload], req.apiKey.id);
+    if (foreign.length > 0) {
+      return res.status(403).json(foreignDomainError(foreign));
     }
-  );
+  }
+  const jobId = uuidv4();
+  const queued = await jobQueue.enqueue(jobId, payload, {
+    apiKeyId: row.apiKeyId,
+    client: requestClient(req),
+    retryOf: row.jobId,
+    limits: admin ? null : apiKeys.limits(req.apiKey)
+  });
+  if (!queued) {
+    return res.status(429).json({ error: await quotaError(req.apiKey) });
+  }
+  console.log(`[Job ${row.jobId}] Retried as job ${jobId}.`);
+  res.json({ success: true, jobId, retryOf: row.jobId });
 }
 
+// Describes the quota that refused `count` new jobs of an API key. The
+// queue enforces the quota when it inserts the jobs; this only words it.
+async function quotaError(apiKey, count = 1) {
+  const message = count === 1 ? await apiKeys.checkQuota(apiKey) : await apiKeys.checkDailyQuota(apiKey, count);
+  return message || 'Build quota reached. Try again later.';
+}
 
-async function robustFetch(url, options = {}, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, options);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response;
-    } catch (error) {
-      if (attempt === retries) {
-        throw error;
-      }
-      console.warn(`Fetch attempt ${attempt} failed. Retrying...`, error);
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+// Domains among `payloads` whose app belongs to another API key. Builds of
+// them would be signed with that key's keystore, so they are refused.
+async function foreignDomains(payloads, apiKeyId) {
+  const domains = [...new Set(payloads.map((payload) => new URL(payload.url).hostname))];
+  const owned = await Promise.all(domains.map((domain) => appVersions.mayBuild(domain, apiKeyId)));
+  return domains.filter((domain, index) => !owned[index]);
+}
+
+function foreignDomainError(domains) {
+  return { error: `The app of ${domains.join(', ')} belongs to another API key.` };
+}
+
+// Responds with the version history of an app. API keys only see the builds
+// of their own jobs (404 if they have none), and the app's twa-manifest only
+// when the latest build is theirs; admins see every build.
+async function sendAppVersions(req, res, { admin }) {
+  const { domain } = req.params;
+  try {
+    const appInfo = await appVersions.getApp(domain);
+    const builds = appInfo
+      ? await appVersions.listBuilds(domain, admin ? {} : { apiKeyId: req.apiKey.id })
+      : [];
+    if (!appInfo || builds.length === 0) {
+      return res.status(404).json({ error: 'App not found' });
     }
+    const ownsLatest = admin || builds[0].jobId === (await appVersions.getLatestJobId(domain));
+    res.json({
+      domain: appInfo.domain,
+      packageId: appInfo.packageId,
+      lastVersionCode: appInfo.lastVersionCode,
+      lastVersionName: appInfo.lastVersionName,
+      twaManifest: ownsLatest ? appInfo.twaManifest : null,
+      builds
+    });
+  } catch (err) {
+    console.error('Error in /apps/:domain/versions:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}
+
+// Origin used in signed download links: PUBLIC_URL, or the request's own host.
+function publicBaseUrl(req) {
+  return (config.publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Loads the job in req.params.jobId if it belongs to the calling API key.
+// Responds with 404 (or 500) and returns null otherwise.
+async function findOwnedJob(req, res) {
+  let row;
+  try {
+    row = await jobQueue.getOwnedJob(req.params.jobId, req.apiKey.id);
+  } catch (err) {
+    res.status(500).json({ error: "Internal server error." });
+    return null;
+  }
+  if (!row) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
   }
+  return row;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// JOB PROCESSING FUNCTION
+// API ENDPOINTS
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function processConversionJob(job) {
-  const timestamp = Date.now();
-  const urlHash = Buffer.from(job.url).toString('base64').replace(/[\/\+]/g, '_');
-
-  console.log(`[Job ${job.jobId}] Starting conversion job at timestamp ${timestamp}.`);
+app.post('/convert', requireApiKey, requireHealthy, iconUpload, async (req, res) => {
+  try {
+    // The webhook secret is encrypted before it is stored; keep it out of the logs too.
+    const { callbackSecret, ...loggedBody } = req.body || {};
+    console.log("Request body:", callbackSecret === undefined ? loggedBody : { ...loggedBody, callbackSecret: '[redacted]' });
+    const spec = { ...req.body };
+    const missingParams = [];
+    // Multipart requests (with an uploaded icon) send structured fields as JSON strings.
+    if (req.is('multipart/form-data')) {
+      for (const field of ['twa', 'outputs', 'universalApk']) {
+        if (typeof spec[field] !== 'string') continue;
+        try {
+          spec[field] = JSON.parse(spec[field]);
+        } catch (e) {
+          missingParams.push({ field, expectedType: "JSON" });
+          delete spec[field];
+        }
+      }
+    }
+    const { errors, payload } = parseConversionSpec(spec);
+    missingParams.push(...errors);
+    // Options that only fail against the site's manifest are rejected now, not in the build.
+    if (missingParams.length === 0) {
+      missingParams.push(...await checkManifest(payload, { customIcon: Boolean(req.file) }));
+    }
+    if (missingParams.length > 0) {
+      discardUpload(req);
+      return res.status(400).json({
+        error: "Missing or invalid parameters",
+        details: missingParams,
+      });
+    }
+    const foreign = await foreignDomains([payload], req.apiKey.id);
+    if (foreign.length > 0) {
+      discardUpload(req);
+      return res.status(403).json(foreignDomainError(foreign));
+    }
+    const jobId = uuidv4();
+    const queued = await jobQueue.enqueue(jobId, {
+      ...payload,
+      iconPath: req.file ? req.file.path : undefined,
+    }, { apiKeyId: req.apiKey.id, client: requestClient(req), limits: apiKeys.limits(req.apiKey) });
+    if (!queued) {
+      discardUpload(req);
+      return res.status(429).json({ error: await quotaError(req.apiKey) });
+    }
+    res.json({ success: true, jobId });
+  } catch (error) {
+    discardUpload(req);
+    console.error('Error in /convert:', error);
+    res.status(500).json({
+      error: 'Conversion request failed. Please try again later.',
+    });
+  }
+});
 
-  // Ensure a dedicated "temp" folder exists.
-  const tempFolder = path.join(__dirname, '..', 'temp');
-  if (!fs.existsSync(tempFolder)) {
-    fs.mkdirSync(tempFolder, { recursive: true });
-    console.log(`[Job ${job.jobId}] Created temp folder at ${tempFolder}.`);
+// Runs the same manifest checks as a conversion job, without queueing a build.
+app.post('/validate', requireApiKey, async (req, res) => {
+  const { url, manifestUrl, manifest } = req.body;
+  const missingParams = [];
+  if (url !== undefined && !isHttpUrl(url)) {
+    missingParams.push({ field: "url", expectedType: "http(s) URL" });
+  }
+  // Without an inline manifest, the manifest can be discovered from the page at "url".
+  const discoverManifest = manifestUrl === undefined && manifest === undefined && url !== undefined;
+  if (!discoverManifest && !isHttpUrl(manifestUrl)) {
+    missingParams.push({ field: "manifestUrl", expectedType: "http(s) URL" });
+  }
+  if (manifest !== undefined && (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest))) {
+    missingParams.push({ field: "manifest", expectedType: "object" });
+  }
+  if (missingParams.length > 0) {
+    return res.status(400).json({
+      error: "Missing or invalid parameters",
+      details: missingParams,
+    });
   }
 
-  // Use the existing project directory if available; otherwise, create a new one.
-  let projectDir;
-  if (job.projectDir && fs.existsSync(job.projectDir)) {
-    projectDir = job.projectDir;
-    console.log(`[Job ${job.jobId}] Using existing project directory: ${projectDir}`);
-  } else {
-    projectDir = path.join(tempFolder, `pwa_${timestamp}_${urlHash}`);
-    console.log(`[Job ${job.jobId}] Project directory: ${projectDir}`);
-    await cleanupOldFiles(projectDir);
-    if (!fs.existsSync(projectDir)) {
-      fs.mkdirSync(projectDir, { recursive: true });
-      console.log(`[Job ${job.jobId}] Created project directory at ${projectDir}.`);
-    }
-
-    // Download the manifest.
-    console.log(`[Job ${job.jobId}] Downloading manifest from ${job.manifestUrl.toString()}...`);
-    const response = await robustFetch(job.manifestUrl.toString());
-    if (!response.ok) {
-      throw new Error(`Failed to fetch manifest: HTTP ${response.status}`);
-    }
-    const manifest = await response.json();
-    console.log(`[Job ${job.jobId}] Manifest downloaded.`);
-
-    // Save the manifest to a file.
-    const manifestPath = path.join(projectDir, 'manifest.json');
-    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
-    console.log(`[Job ${job.jobId}] Manifest saved to ${manifestPath}.`);
-
-    // Create a TWA manifest using the downloaded manifest.
-    console.log(`[Job ${job.jobId}] Creating TWA manifest from downloaded manifest...`);
-    const twaManifest = TwaManifest.fromWebManifestJson(job.manifestUrl, manifest);
-    console.log(`[Job ${job.jobId}] TWA manifest created.`);
-
-    // Initialize the TWA generator and create the TWA project.
-    console.log(`[Job ${job.jobId}] Initializing TWA generator...`);
-    let generator;
+  let webManifest = manifest;
+  let webManifestUrl = manifestUrl;
+  if (webManifestUrl === undefined) {
     try {
-      generator = new TwaGenerator();
+      webManifestUrl = await manifestDiscovery.discover(url);
     } catch (err) {
-      console.error(`[Job ${job.jobId}] Error initializing TWA generator:`, err);
-      throw err;
-    }
-    // const generator = new TwaGenerator();
-    const logObj = { log: (msg) => console.log(msg) };
-    await generator.createTwaProject(projectDir, twaManifest, logObj);
-    console.log(`[Job ${job.jobId}] TWA project created.`);
-
-    // Write the TWA manifest file to the project directory.
-    const twaManifestPath = path.join(projectDir, 'twa-manifest.json');
-    fs.writeFileSync(twaManifestPath, JSON.stringify(twaManifest.toJson(), null, 2));
-    console.log(`[Job ${job.jobId}] TWA manifest saved to ${twaManifestPath}.`);
-  }
-
-  // ──────────────────────────────────────────────────────────────
-  // Build the project using Gradle.
-  if (!process.env.JDK_HOME) {
-    process.env.JDK_HOME = config.jdkPath; // e.g., '/Library/Java/JavaVirtualMachines/zulu-17.jdk'
-    console.log(`[Job ${job.jobId}] Set process.env.JDK_HOME to ${process.env.JDK_HOME}`);
-  }
-  
-  const configInstance = new Config(
-    process.env.JDK_HOME,
-    process.env.ANDROID_HOME || config.androidHome
-  );
-  
-  console.log(`[Job ${job.jobId}] Initializing JdkHelper...`);
-  const jdkHelper = new JdkHelper(process, configInstance);
-  console.log(`[Job ${job.jobId}] Creating AndroidSdkTools...`);
-  const logObj = { log: (msg) => console.log(msg) };
-  const androidSdkTools = await AndroidSdkTools.create(process, configInstance, jdkHelper, logObj);
-  console.log(`[Job ${job.jobId}] Initializing GradleWrapper...`);
-  const gradle = new GradleWrapper(process, androidSdkTools, projectDir);
-  
-  console.log(`[Job ${job.jobId}] Executing Gradle task 'assembleRelease' for APK...`);
-  await gradle.assembleRelease();
-  console.log(`[Job ${job.jobId}] APK build completed.`);
-  
-  console.log(`[Job ${job.jobId}] Executing Gradle task 'bundleRelease' for AAB...`);
-  await gradle.bundleRelease();
-  console.log(`[Job ${job.jobId}] AAB build completed.`);
-
-  // ──────────────────────────────────────────────────────────────
-  // SIGNING THE BUILD ARTIFACTS
-  // ──────────────────────────────────────────────────────────────
-
-  // Extract the domain name from the job URL (used as the key alias).
-  const urlObj = new URL(job.url);
-  const domain = urlObj.hostname;
-  console.log(`[Job ${job.jobId}] Extracted domain: ${domain}`);
-
-  // Prepare a root keystores directory (outside any project directory).
-  const keystoreRootDir = path.join(__dirname, '..', 'keystores');
-  if (!fs.existsSync(keystoreRootDir)) {
-    fs.mkdirSync(keystoreRootDir, { recursive: true });
-    console.log(`[Job ${job.jobId}] Created root keystore directory at ${keystoreRootDir}.`);
-  }
-  const keystorePath = path.join(keystoreRootDir, `${domain}.jks`);
-
-  // If the keystore file exists, try to retrieve its details from the keystores table.
-  let keyOptions = null;
-  if (fs.existsSync(keystorePath)) {
-    keyOptions = await new Promise((resolve, reject) => {
-      db.get("SELECT * FROM keystores WHERE domain = ?", [domain], (err, row) => {
-        if (err) {
-          reject(err);
-        } else if (row) {
-          resolve({
-            path: row.keystorePath,
-            alias: row.domain,
-            password: row.password,
-            keypassword: row.keypassword,
-            fullName: row.fullName,
-            organizationalUnit: row.organizationalUnit,
-            organization: row.organization,
-            country: row.country
-          });
-        } else {
-          resolve(null);
-        }
+      return res.json({
+        valid: false,
+        errors: [{ field: "manifestUrl", code: err.code || "fetch_failed", message: sanitizeMessage(err.message) }],
+        warnings: [],
+        manifest: null
       });
-    });
+    }
+  }
+  if (webManifest === undefined) {
+    try {
+      const response = await robustFetch(webManifestUrl, { accept: 'json' });
+      webManifestUrl = response.url || webManifestUrl;
+      webManifest = await response.json();
+    } catch (err) {
+      return res.json({
+        valid: false,
+        errors: [{ field: "manifestUrl", code: "fetch_failed", message: `Could not download the manifest: ${sanitizeMessage(err.message)}` }],
+        warnings: [],
+        manifest: null
+      });
+    }
   }
 
-  const keyTool = new KeyTool(jdkHelper, new ConsoleLog('keytool'));
+  try {
+    manifestProcessor.resolveUrls(webManifest, webManifestUrl);
+    res.json({ manifestUrl: webManifestUrl, ...manifestValidator.validate(webManifest, webManifestUrl, url) });
+  } catch (err) {
+    console.error('Error in /validate:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
 
-  if (!keyOptions) {
-    // Generate new key options if none exist.
-    const randomPart = Math.random().toString(36).substring(2, 8);
-    const generatedPassword = domain + randomPart;
-    console.log(`[Job ${job.jobId}] Generated new signing key password: ${generatedPassword}`);
+// Jobs of the calling API key, filtered by status, domain, batch and creation date.
+app.get('/jobs', requireApiKey, (req, res) => listJobs(req, res, { admin: false }));
 
-    keyOptions = {
-      path: keystorePath,
-      alias: domain,
-      password: generatedPassword,
-      keypassword: generatedPassword,
-      fullName: domain,
-      organizationalUnit: "Development",
-      organization: "DefaultOrg",
-      country: "US"
-    };
+app.get('/job/:jobId', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  row.request = describeRequest(row);
+  delete row.payload;
+  for (const field of ['files', 'assetlinks', 'assetlinksOrigins', 'validation', 'report', 'artifacts']) {
+    row[field] = parseColumn(row, field);
+  }
+  if (row.status === 'completed') {
+    row.downloads = artifacts.buildLinks(row, row.files, publicBaseUrl(req));
+  }
+  try {
+    Object.assign(row, await describeProgress(row));
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error." });
+  }
+  res.json(row);
+});
 
-    console.log(`[Job ${job.jobId}] Creating signing key for ${domain}...`);
-    await keyTool.createSigningKey(keyOptions, true);
-    console.log(`[Job ${job.jobId}] Signing key created successfully.`);
-
-    // Save the new key options in the keystores table.
-    db.run(
-      "INSERT OR REPLACE INTO keystores (domain, jobId, keystorePath, password, keypassword, fullName, organizationalUnit, organization, country) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
-      [domain, job.jobId, keyOptions.path, keyOptions.password, keyOptions.keypassword, keyOptions.fullName, keyOptions.organizationalUnit, keyOptions.organization, keyOptions.country],
-      (err) => {
-        if (err) console.error(`[Job ${job.jobId}] Error inserting keystore info:`, err);
-        else console.log(`[Job ${job.jobId}] Keystore info saved in database.`);
+// Cancel a job: a queued job is removed from the queue, a running build is stopped
+// (its Gradle processes are killed) and the job is marked "cancelled".
+app.delete('/job/:jobId', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  try {
+    if (await jobQueue.cancelPending(row.jobId)) {
+      console.log(`[Job ${row.jobId}] Cancelled while queued.`);
+      if (JSON.parse(row.payload || '{}').callbackUrl) {
+        webhooks.deliver(row.jobId).catch((error) => console.error(`[Job ${row.jobId}] Webhook error:`, error));
       }
-    );
-  } else {
-    console.log(`[Job ${job.jobId}] Found existing keystore for ${domain} in database.`);
-  }
-
-  // Create a JarSigner instance.
-  const jarSigner = new JarSigner(jdkHelper);
-
-  // Sign the APK.
-  const unsignedApkPath = path.join(projectDir, 'app', 'build', 'outputs', 'apk', 'release', 'app-release-unsigned.apk');
-  if (!fs.existsSync(unsignedApkPath)) {
-    throw new Error(`Unsigned APK file not found at expected location: ${unsignedApkPath}`);
-  }
-  console.log(`[Job ${job.jobId}] Found unsigned APK file at ${unsignedApkPath}.`);
-  const signedApkPathTemp = path.join(projectDir, 'app', 'build', 'outputs', 'apk', 'release', 'app-release-signed.apk');
-  console.log(`[Job ${job.jobId}] Signing APK using JarSigner...`);
-  await jarSigner.sign(
-    { path: keyOptions.path, alias: keyOptions.alias },
-    keyOptions.password,
-    keyOptions.keypassword,
-    unsignedApkPath,
-    signedApkPathTemp
-  );
-  console.log(`[Job ${job.jobId}] APK signed successfully. Signed APK located at ${signedApkPathTemp}.`);
-
-  // Sign the AAB.
-  const unsignedAabPath = path.join(projectDir, 'app', 'build', 'outputs', 'bundle', 'release', 'app-release.aab');
-  if (!fs.existsSync(unsignedAabPath)) {
-    throw new Error(`Unsigned AAB file not found at expected location: ${unsignedAabPath}`);
-  }
-  console.log(`[Job ${job.jobId}] Found unsigned AAB file at ${unsignedAabPath}.`);
-  const signedAabPathTemp = path.join(projectDir, 'app', 'build', 'outputs', 'bundle', 'release', 'app-release-signed.aab');
-  console.log(`[Job ${job.jobId}] Signing AAB using JarSigner...`);
-  await jarSigner.sign(
-    { path: keyOptions.path, alias: keyOptions.alias },
-    keyOptions.password,
-    keyOptions.keypassword,
-    unsignedAabPath,
-    signedAabPathTemp
-  );
-  console.log(`[Job ${job.jobId}] AAB signed successfully. Signed AAB located at ${signedAabPathTemp}.`);
-
-  // ──────────────────────────────────────────────────────────────
-  // COPY OUTPUT FILES
-  const outputDir = path.join(__dirname, '..', config.outputDir);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-    console.log(`[Job ${job.jobId}] Created output directory at ${outputDir}.`);
-  }
-  const outputApkPath = path.join(outputDir, `${urlHash}_${timestamp}.apk`);
-  const outputAabPath = path.join(outputDir, `${urlHash}_${timestamp}.aab`);
-
-  console.log(`[Job ${job.jobId}] Copying signed APK from ${signedApkPathTemp} to ${outputApkPath}...`);
-  fs.copyFileSync(signedApkPathTemp, outputApkPath);
-  console.log(`[Job ${job.jobId}] Signed APK copied successfully.`);
-
-  console.log(`[Job ${job.jobId}] Copying signed AAB from ${signedAabPathTemp} to ${outputAabPath}...`);
-  fs.copyFileSync(signedAabPathTemp, outputAabPath);
-  console.log(`[Job ${job.jobId}] Signed AAB copied successfully.`);
-
-  // Clean up temporary files.
-  console.log(`[Job ${job.jobId}] Cleaning up temporary files in ${projectDir}...`);
-  await cleanupOldFiles(projectDir);
-
-  console.log(`[Job ${job.jobId}] Conversion job completed successfully.`);
-  return {
-    apk: path.basename(outputApkPath),
-    aab: path.basename(outputAabPath)
+      return res.json({ success: true, jobId: row.jobId, status: 'cancelled' });
+    }
+    // The worker running the job notices the request and aborts the build.
+    if (await jobQueue.requestCancel(row.jobId)) {
+      console.log(`[Job ${row.jobId}] Cancellation requested.`);
+      return res.status(202).json({ success: true, jobId: row.jobId, status: 'cancelling' });
+    }
+    const current = await jobQueue.getJob(row.jobId);
+    res.status(409).json({ error: `Job is already ${current.status}` });
+  } catch (err) {
+    console.error('Error in DELETE /job/:jobId:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+app.post('/job/:jobId/retry', requireApiKey, requireHealthy, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  try {
+    await retryJob(req, res, row, { admin: false });
+  } catch (err) {
+    console.error('Error in /job/:jobId/retry:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+app.get('/job/:jobId/assetlinks', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  if (!row.assetlinks) {
+    return res.status(404).json({ error: 'assetlinks.json is not available for this job' });
+  }
+  res.type('application/json').send(row.assetlinks);
+});
+
+app.get('/job/:jobId/logs', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  const logPath = getJobLogPath(row.jobId);
+  if (!fs.existsSync(logPath)) {
+    return res.type('text/plain').send('');
+  }
+  res.type('text/plain');
+  fs.createReadStream(logPath).pipe(res);
+});
+
+// Server-Sent Events stream of a job's log. Sends the lines logged so far, then
+// tails the log file until the job finishes. Tailing the file (rather than an
+// in-process event) also works when the build runs in another process.
+app.get('/job/:jobId/logs/stream', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  const logPath = getJobLogPath(row.jobId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let offset = 0;
+  let partial = '';
+  let closed = false;
+  const sendNewLines = () => {
+    if (!fs.existsSync(logPath)) return;
+    const size = fs.statSync(logPath).size;
+    if (size <= offset) return;
+    const buffer = Buffer.alloc(size - offset);
+    const fd = fs.openSync(logPath, 'r');
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    fs.closeSync(fd);
+    offset = size;
+    const lines = (partial + buffer.toString('utf8')).split('\n');
+    partial = lines.pop();
+    lines.forEach((line) => res.write(`data: ${line}\n\n`));
   };
-}
 
-async function processQueue() {
-  // As long as we have less than 2 active jobs and there are jobs waiting in the queue,
-  // continue processing.
-  while (activeJobs < maxJobs && jobQueue.length > 0) {
-    const job = jobQueue.shift();
-    activeJobs++;  // Increment the count since we are starting a new job.
-    
-    // Process the job asynchronously.
-    processConversionJob(job)
-      .then((files) => {
-        // Update job status upon successful processing.
-        jobs[job.jobId].status = 'completed';
-        jobs[job.jobId].files = files;
-        jobs[job.jobId].updated = Date.now();
-        updateJob(job.jobId, 'completed', files, null);
-      })
-      .catch((error) => {
-        // Handle errors during job processing.
-        console.error(`Error processing job ${job.jobId}:`, error);
-        jobs[job.jobId].status = 'failed';
-        jobs[job.jobId].error = "Internal server error.";
-        jobs[job.jobId].updated = Date.now();
-        updateJob(job.jobId, 'failed', null, "Internal server error.");
-      })
-      .finally(() => {
-        // When the job is finished (either success or error), decrement the counter.
-        activeJobs--;
-        // Check if there are any waiting jobs that can now be processed.
-        processQueue();
+  const poll = async () => {
+    if (closed) return;
+    // EventSource clients reconnect to another instance, or after the restart.
+    if (shuttingDown) return res.end();
+    try {
+      sendNewLines();
+      const job = await jobQueue.getJob(row.jobId);
+      if (['completed', 'failed', 'cancelled', 'expired'].includes(job.status)) {
+        sendNewLines();
+        res.write(`event: end\ndata: ${JSON.stringify({ status: job.status, failedStage: job.failedStage, error: job.error })}\n\n`);
+        return res.end();
+      }
+    } catch (err) {
+      console.error('Error in /job/:jobId/logs/stream:', err);
+      return res.end();
+    }
+    setTimeout(poll, 1000);
+  };
+
+  req.on('close', () => {
+    closed = true;
+  });
+  poll();
+});
+
+app.get('/job/:jobId/webhooks', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  try {
+    res.json({
+      jobId: row.jobId,
+      webhookStatus: row.webhookStatus,
+      deliveries: await webhooks.listDeliveries(row.jobId)
+    });
+  } catch (err) {
+    console.error('Error in /job/:jobId/webhooks:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Replay the webhook for a finished job, e.g. after the receiver was down.
+app.post('/job/:jobId/webhooks/redeliver', requireApiKey, async (req, res) => {
+  const row = await findOwnedJob(req, res);
+  if (!row) return;
+  if (!JSON.parse(row.payload || '{}').callbackUrl) {
+    return res.status(400).json({ error: 'Job has no callbackUrl' });
+  }
+  if (!['completed', 'failed', 'cancelled', 'expired'].includes(row.status)) {
+    return res.status(409).json({ error: 'Job has not finished yet' });
+  }
+  webhooks.deliver(row.jobId).catch((error) => console.error(`[Job ${row.jobId}] Webhook error:`, error));
+  res.status(202).json({ success: true, jobId: row.jobId });
+});
+
+app.get('/apps/:domain/versions', requireApiKey, (req, res) => sendAppVersions(req, res, { admin: false }));
+
+// Upload an existing keystore (JKS or PKCS12) for a domain, so apps already on the
+// Play Store keep their signing identity. The keystore is verified with KeyTool before
+// it replaces the current one.
+app.put('/keystores/:domain', requireAdmin, async (req, res) => {
+  const domain = req.params.domain.toLowerCase();
+  const { keystore, alias, password, keypassword, apiKeyId } = req.body;
+  const missingParams = [];
+  if (!/^[a-z0-9.-]+$/.test(domain)) {
+    missingParams.push({ field: "domain", expectedType: "hostname" });
+  }
+  if (apiKeyId !== undefined && (typeof apiKeyId !== 'string' || apiKeyId === '')) {
+    missingParams.push({ field: "apiKeyId", expectedType: "string" });
+  }
+  if (typeof keystore !== 'string' || keystore.trim() === '') {
+    missingParams.push({ field: "keystore", expectedType: "base64 string" });
+  }
+  if (typeof alias !== 'string' || alias.trim() === '') {
+    missingParams.push({ field: "alias", expectedType: "string" });
+  }
+  if (typeof password !== 'string' || password === '') {
+    missingParams.push({ field: "password", expectedType: "string" });
+  }
+  if (keypassword !== undefined && typeof keypassword !== 'string') {
+    missingParams.push({ field: "keypassword", expectedType: "string" });
+  }
+  if (missingParams.length > 0) {
+    return res.status(400).json({
+      error: "Missing or invalid parameters",
+      details: missingParams,
+    });
+  }
+
+  const workDir = keystores.createWorkDir();
+  const uploadPath = path.join(workDir, keystores.getKeystoreName(domain));
+  const keyOptions = {
+    path: uploadPath,
+    alias,
+    password,
+    keypassword: keypassword || password
+  };
+
+  try {
+    if (apiKeyId !== undefined && !(await apiKeys.get(apiKeyId))) {
+      return res.status(400).json({
+        error: "Missing or invalid parameters",
+        details: [{ field: "apiKeyId", expectedType: "string", message: "No active API key has this ID." }],
       });
+    }
+    fs.writeFileSync(uploadPath, Buffer.from(keystore, 'base64'), { mode: 0o600 });
+
+    const jdkHelper = new JdkHelper(process, createBubblewrapConfig());
+    const keyTool = new KeyTool(jdkHelper, new ConsoleLog('keytool'));
+    let keyInfo;
+    try {
+      keyInfo = await keyTool.keyInfo(keyOptions);
+    } catch (err) {
+      return res.status(400).json({ error: "Keystore could not be opened with the given alias and passwords." });
+    }
+
+    await keystores.checkin(domain, uploadPath);
+    await keystores.saveKeyOptions(domain, null, keyOptions, 'uploaded');
+    await keystores.saveFingerprints(domain, keyInfo);
+    if (apiKeyId !== undefined) {
+      await appVersions.setOwner(domain, apiKeyId);
+    }
+    console.log(`Keystore uploaded for ${domain}.`);
+    res.json({ success: true, domain, alias, sha256: keyInfo.fingerprints.get('SHA256') || null });
+  } catch (err) {
+    console.error('Error in /keystores/:domain:', err);
+    res.status(500).json({ error: "Internal server error." });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
   }
-}
+});
 
-// async function processQueue() {
-//   if (isProcessing || jobQueue.length === 0) return;
-//   isProcessing = true;
-//   const job = jobQueue.shift();
-//   try {
-//     const files = await processConversionJob(job);
-//     jobs[job.jobId].status = 'completed';
-//     jobs[job.jobId].files = files;
-//     jobs[job.jobId].updated = Date.now();
-//     updateJob(job.jobId, 'completed', files, null);
-//   } catch (error) {
-//     console.error(`Error processing job ${job.jobId}:`, error);
-//     jobs[job.jobId].status = 'failed';
-//     jobs[job.jobId].error = "Internal server error.";
-//     jobs[job.jobId].updated = Date.now();
-//     updateJob(job.jobId, 'failed', null, "Internal server error.");
-//   }
-//   isProcessing = false;
-//   processQueue();
-// }
-
-
-// Create a route-specific limiter for the /convert endpoint.
-// This limits each IP to only 1 conversion job request every 15 minutes.
-const convertLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes window
-  max: process.env.maxConvertProcess || 2, // allow only one request per window per IP
-  message: "You can only request two conversion job every 15 minutes."
+app.get('/keystores/:domain/fingerprint', requireApiKey, async (req, res) => {
+  try {
+    const domain = req.params.domain.toLowerCase();
+    // Only the API key that owns the domain's app sees its keystore.
+    const fingerprints = (await appVersions.getOwner(domain)) === req.apiKey.id
+      ? await keystores.getFingerprints(domain)
+      : null;
+    if (!fingerprints) {
+      return res.status(404).json({ error: 'Keystore not found' });
+    }
+    res.json(fingerprints);
+  } catch (err) {
+    console.error('Error in /keystores/:domain/fingerprint:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
 });
 
-// ─────────────────────────────────────────────────────────────────────────────
-// API ENDPOINTS
-// ─────────────────────────────────────────────────────────────────────────────
+// Set extra SHA-256 fingerprints for a domain's assetlinks.json, e.g. the Play App Signing key.
+app.put('/keystores/:domain/fingerprints', requireAdmin, async (req, res) => {
+  const { fingerprints } = req.body;
+  const missingParams = [];
+  if (!Array.isArray(fingerprints)) {
+    missingParams.push({ field: "fingerprints", expectedType: "array" });
+  } else {
+    fingerprints.forEach((fingerprint, index) => {
+      if (!fingerprint || typeof fingerprint.value !== 'string' || !SHA256_FINGERPRINT.test(fingerprint.value)) {
+        missingParams.push({ field: `fingerprints[${index}].value`, expectedType: "SHA-256 fingerprint (AA:BB:...)" });
+      }
+      if (fingerprint && fingerprint.name !== undefined && typeof fingerprint.name !== 'string') {
+        missingParams.push({ field: `fingerprints[${index}].name`, expectedType: "string" });
+      }
+    });
+  }
+  if (missingParams.length > 0) {
+    return res.status(400).json({
+      error: "Missing or invalid parameters",
+      details: missingParams,
+    });
+  }
 
-app.post('/convert', convertLimiter, async (req, res) => {
+  const domain = req.params.domain.toLowerCase();
   try {
-    console.log("Request body:", req.body);
-    const { url, manifestUrl } = req.body;
-    const missingParams = [];
-    if (typeof url !== 'string' || url.trim() === '') {
-      missingParams.push({ field: "url", expectedType: "string" });
+    const normalized = fingerprints.map(({ name, value }) => ({ name, value: value.toUpperCase() }));
+    if (!(await keystores.setExtraFingerprints(domain, normalized))) {
+      return res.status(404).json({ error: 'Keystore not found' });
+    }
+    res.json(await keystores.getFingerprints(domain));
+  } catch (err) {
+    console.error('Error in /keystores/:domain/fingerprints:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Deletes the cached project of a domain, so its next build starts from a fresh project.
+app.delete('/projects/:domain', requireAdmin, async (req, res) => {
+  const domain = req.params.domain.toLowerCase();
+  if (!/^[a-z0-9.-]+$/.test(domain) || domain.startsWith('.')) {
+    return res.status(400).json({
+      error: "Missing or invalid parameters",
+      details: [{ field: "domain", expectedType: "hostname" }],
+    });
+  }
+  try {
+    const result = await projectCache.purge(domain);
+    if (result === 'busy') {
+      return res.status(409).json({ error: `A build of ${domain} is running. Try again when it has finished.` });
+    }
+    if (result === 'not_found') {
+      return res.status(404).json({ error: 'No cached project for this domain' });
+    }
+    console.log(`Purged cached project of ${domain}.`);
+    res.json({ success: true, domain });
+  } catch (err) {
+    console.error('Error in DELETE /projects/:domain:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Serves a job's apk, aab, storeIcon or assetlinks. Callers either present
+// the API key that owns the job, or a signed link from GET /job/:jobId.
+app.get('/job/:jobId/artifacts/:type', requireApiKeyOrSignature, async (req, res) => {
+  const { jobId, type } = req.params;
+  if (!artifacts.types.includes(type)) {
+    return res.status(404).json({ error: `Unknown artifact type. Use one of: ${artifacts.types.join(', ')}.` });
+  }
+
+  let row;
+  if (req.apiKey) {
+    row = await findOwnedJob(req, res);
+    if (!row) return;
+  } else {
+    if (!artifacts.verify(jobId, type, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+    try {
+      row = await jobQueue.getJob(jobId);
+    } catch (err) {
+      return res.status(500).json({ error: "Internal server error." });
+    }
+    if (!row) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+  }
+
+  if (type === 'assetlinks') {
+    if (!row.assetlinks) {
+      return res.status(404).json({ error: 'assetlinks.json is not available for this job' });
+    }
+    return res.type('application/json').send(row.assetlinks);
+  }
+  if (row.status === 'expired') {
+    return res.status(410).json({ error: 'The artifacts of this job have expired' });
+  }
+  const filename = JSON.parse(row.files || '{}')[type];
+  try {
+    if (row.status !== 'completed' || !filename || !(await artifacts.exists(filename))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const info = JSON.parse(row.artifacts || '{}')[type];
+    if (info) {
+      res.set('X-Checksum-SHA256', info.sha256);
+    }
+    // Object stores serve the file themselves through a short-lived presigned URL.
+    const presignedUrl = await artifacts.presign(filename);
+    if (presignedUrl) {
+      return res.redirect(302, presignedUrl);
     }
-    if (typeof manifestUrl !== 'string' || manifestUrl.trim() === '') {
-      missingParams.push({ field: "manifestUrl", expectedType: "string" });
+    const stream = await artifacts.open(filename);
+    res.attachment(filename);
+    if (info) {
+      res.set('Content-Length', String(info.size));
+    }
+    stream.on('error', (err) => {
+      console.error(`Error streaming ${filename}:`, err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('Error in /job/:jobId/artifacts/:type:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Queues one conversion job per entry of "jobs". The jobs run through the
+// same queue (and per-key concurrency limit) as single conversions.
+app.post('/batches', requireApiKey, requireHealthy, async (req, res) => {
+  try {
+    const specs = req.body && req.body.jobs;
+    if (!Array.isArray(specs) || specs.length === 0 || specs.length > config.maxBatchSize) {
+      return res.status(400).json({
+        error: "Missing or invalid parameters",
+        details: [{ field: "jobs", expectedType: "array", message: `Expected 1 to ${config.maxBatchSize} conversion specs.` }],
+      });
+    }
+    const missingParams = [];
+    const payloads = specs.map((spec, index) => {
+      if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        missingParams.push({ field: `jobs[${index}]`, expectedType: "object" });
+        return null;
+      }
+      const { errors, payload } = parseConversionSpec(spec, `jobs[${index}].`);
+      missingParams.push(...errors);
+      return payload;
+    });
+    if (missingParams.length === 0) {
+      missingParams.push(...await checkBatchManifests(payloads));
     }
     if (missingParams.length > 0) {
       return res.status(400).json({
@@ -477,69 +803,276 @@ app.post('/convert', convertLimiter, async (req, res) => {
         details: missingParams,
       });
     }
-    try {
-      new URL(url);
-      new URL(manifestUrl);
-    } catch (e) {
-      return res.status(400).json({ error: "Invalid URL format." });
+    const foreign = await foreignDomains(payloads, req.apiKey.id);
+    if (foreign.length > 0) {
+      return res.status(403).json(foreignDomainError(foreign));
     }
-    const manifestURLObject = new URL(manifestUrl);
-    const jobId = uuidv4();
-    const created = Date.now();
-    jobs[jobId] = {
-      status: 'pending',
-      created,
-      updated: created,
-      files: null,
-      error: null,
-    };
-    insertJob(jobId, 'pending', created);
-    // Optionally, if you already have a project for the given URL and manifest,
-    // you can include a "projectDir" property in the job object.
-    jobQueue.push({
-      jobId,
-      url,
-      manifestUrl: manifestURLObject,
-      // projectDir: "path/to/existing/project"  // Uncomment and set if available.
-    });
-    processQueue();
-    res.json({ success: true, jobId });
+    const batch = await batches.create(
+      req.apiKey.id, payloads, requestClient(req), apiKeys.limits(req.apiKey, { concurrent: false })
+    );
+    if (!batch) {
+      return res.status(429).json({ error: await quotaError(req.apiKey, payloads.length) });
+    }
+    res.json({ success: true, batchId: batch.id, jobIds: batch.jobIds });
   } catch (error) {
-    console.error('Error in /convert:', error);
+    console.error('Error in /batches:', error);
     res.status(500).json({
-      error: 'Conversion request failed. Please try again later.',
+      error: 'Batch request failed. Please try again later.',
     });
   }
 });
 
-app.get('/job/:jobId', (req, res) => {
-  const { jobId } = req.params;
-  db.get("SELECT * FROM jobs WHERE jobId = ?", [jobId], (err, row) => {
-    if (err) {
-      return res.status(500).json({ error: "Internal server error." });
+app.get('/batches/:batchId', requireApiKey, async (req, res) => {
+  try {
+    const batch = await batches.getOwned(req.params.batchId, req.apiKey.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
     }
+    const jobs = await batches.listJobs(batch.id);
+    const progress = batches.summarize(jobs);
+    const response = {
+      batchId: batch.id,
+      created: batch.created,
+      progress,
+      jobs: jobs.map((job) => ({
+        jobId: job.jobId,
+        url: job.url,
+        status: job.status,
+        stage: job.stage,
+        error: job.error,
+        failedStage: job.failedStage,
+        artifacts: job.artifacts,
+        finished: job.finished
+      }))
+    };
+    // The zip is offered once every job has finished and at least one succeeded.
+    if (progress.finished && progress.completed > 0) {
+      const expires = Math.floor(Date.now() / 1000) + config.downloadUrlTtl;
+      const query = new URLSearchParams({ expires: String(expires), signature: artifacts.sign(batch.id, 'batch', expires) });
+      response.download = {
+        url: `${publicBaseUrl(req)}/batches/${encodeURIComponent(batch.id)}/artifacts?${query}`,
+        expires: expires * 1000
+      };
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Streams a zip with the artifacts of every completed job of the batch.
+// Callers either present the API key that owns the batch, or the signed
+// link from GET /batches/:batchId.
+app.get('/batches/:batchId/artifacts', requireApiKeyOrSignature, async (req, res) => {
+  const { batchId } = req.params;
+  let batch;
+  try {
+    if (req.apiKey) {
+      batch = await batches.getOwned(batchId, req.apiKey.id);
+    } else {
+      if (!artifacts.verify(batchId, 'batch', req.query.expires, req.query.signature)) {
+        return res.status(403).json({ error: 'Invalid or expired download link' });
+      }
+      batch = await batches.get(batchId);
+    }
+  } catch (err) {
+    return res.status(500).json({ error: "Internal server error." });
+  }
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.attachment(`batch-${batch.id}.zip`);
+  res.type('application/zip');
+  try {
+    await batches.writeZip(batch.id, res);
+  } catch (err) {
+    console.error(`Error writing the zip of batch ${batch.id}:`, err);
+    res.destroy(err);
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MONITORING ENDPOINTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Public health check for load balancers: only the overall result of the
+// last periodic preflight run (see HEALTH_CHECK_INTERVAL), so probes never
+// start the checks themselves. Responds with 503 while any check fails.
+// The checks in detail are at /admin/health.
+app.get('/health', (req, res) => {
+  const healthy = preflight.healthy;
+  res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'failed' });
+});
+
+// Prometheus metrics: queue depth, workers, job outcomes and stage durations.
+app.get('/metrics', async (req, res) => {
+  try {
+    const workers = await workerRegistry.live(WORKER_MAX_AGE);
+    res.type('text/plain; version=0.0.4').send(await metrics.render({ workers, healthy: preflight.healthy }));
+  } catch (err) {
+    res.status(500).type('text/plain').send('# metrics unavailable\n');
+  }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ADMIN ENDPOINTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const apiKeySchema = {
+  name: { type: 'string', required: true },
+  maxConcurrentJobs: { type: 'integer', min: 1 },
+  maxBuildsPerDay: { type: 'integer', min: 1 }
+};
+
+app.post('/admin/api-keys', requireAdmin, async (req, res) => {
+  const details = validateObject(req.body || {}, apiKeySchema);
+  if (details.length > 0) {
+    return res.status(400).json({
+      error: "Missing or invalid parameters",
+      details,
+    });
+  }
+  try {
+    const apiKey = await apiKeys.create(req.body);
+    console.log(`Created API key ${apiKey.id} (${apiKey.name}).`);
+    res.status(201).json(apiKey);
+  } catch (err) {
+    console.error('Error in /admin/api-keys:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+app.get('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    res.json(await apiKeys.list());
+  } catch (err) {
+    console.error('Error in /admin/api-keys:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+app.delete('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await apiKeys.revoke(req.params.id))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    console.log(`Revoked API key ${req.params.id}.`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in /admin/api-keys/:id:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+// Re-runs the preflight checks and returns them in full, with the live workers.
+app.get('/admin/health', requireAdmin, async (req, res) => {
+  const status = await preflight.run();
+  let workers = null;
+  try {
+    workers = await workerRegistry.live(WORKER_MAX_AGE);
+  } catch (err) {
+    console.error('Error listing workers:', err);
+  }
+  res.status(status.healthy ? 200 : 503).json({ ...status, workers });
+});
+
+app.get('/admin/apps/:domain/versions', requireAdmin, (req, res) => sendAppVersions(req, res, { admin: true }));
+
+// Jobs of every API key, for support. Takes the same filters as GET /jobs, plus apiKeyId.
+app.get('/admin/jobs', requireAdmin, (req, res) => listJobs(req, res, { admin: true }));
+
+app.get('/admin/jobs/:jobId', requireAdmin, async (req, res) => {
+  try {
+    const row = await jobQueue.getJob(req.params.jobId);
     if (!row) {
       return res.status(404).json({ error: 'Job not found' });
     }
-    if (row.files) {
-      try {
-        row.files = JSON.parse(row.files);
-      } catch (e) {
-        console.error('Error parsing files JSON:', e);
-      }
+    row.request = describeRequest(row);
+    delete row.payload;
+    for (const field of ['files', 'assetlinks', 'assetlinksOrigins', 'validation', 'report', 'artifacts']) {
+      row[field] = parseColumn(row, field);
     }
     res.json(row);
-  });
+  } catch (err) {
+    console.error('Error in /admin/jobs/:jobId:', err);
+    res.status(500).json({ error: "Internal server error." });
+  }
 });
 
-app.get('/download/:filename', (req, res) => {
-  const filePath = path.join(__dirname, '..', config.outputDir, req.params.filename);
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' });
+app.post('/admin/jobs/:jobId/retry', requireAdmin, requireHealthy, async (req, res) => {
+  try {
+    const row = await jobQueue.getJob(req.params.jobId);
+    if (!row) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await retryJob(req, res, row, { admin: true });
+  } catch (err) {
+    console.error('Error in /admin/jobs/:jobId/retry:', err);
+    res.status(500).json({ error: "Internal server error." });
   }
-  res.download(filePath);
 });
 
-app.listen(config.port, () => {
-  console.log(`Server running on port ${config.port}`);
+// ─────────────────────────────────────────────────────────────────────────────
+// STARTUP
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function start() {
+  if (!config.keystoreMasterKey) {
+    throw new Error("KEYSTORE_MASTER_KEY must be set to encrypt keystore passwords.");
+  }
+
+  await database.init();
+
+  const migrated = await keystores.encryptPlaintextPasswords();
+  if (migrated) {
+    console.log(`Encrypted stored passwords for ${migrated} keystore(s).`);
+  }
+
+  // Jobs are only accepted once the build environment passes the checks.
+  const status = await preflight.run();
+  if (status.healthy) {
+    console.log('Preflight checks passed.');
+  } else {
+    console.error('Preflight checks failed; new jobs are refused until they pass:', preflight.failures());
+  }
+  preflight.start();
+
+  server = app.listen(config.port, () => {
+    console.log(`Server running on port ${config.port}`);
+  });
+
+  // Delete old artifacts, temp projects and uploads in the background.
+  retention.start();
+}
+
+// SIGTERM (sent by pm2 and container runtimes) and SIGINT stop accepting
+// connections and wait up to SHUTDOWN_TIMEOUT ms for open requests. Jobs are
+// not affected: they stay in the database for the workers.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+  try {
+    if (server) {
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeIdleConnections();
+      const timer = setTimeout(() => server.closeAllConnections(), config.shutdownTimeout);
+      await closed;
+      clearTimeout(timer);
+    }
+    await database.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("Error during shutdown:", err);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((err) => {
+  console.error("Error starting server:", err);
+  process.exit(1);
 });
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { version } = require('../../package.json');
+const { EXIT_CODES, cliError } = require('./errors');
+
+const USER_AGENT = `nodebubblewrap-cli/${version}`;
+
+// "Missing or invalid parameters: twa.packageId (expected string), ..."
+function describeErrorBody(body) {
+    const details = (body.details || []).map((detail) =>
+        `${detail.field} (${detail.message || `expected ${detail.expectedType}`})`
+    );
+    return details.length > 0 ? `${body.error}: ${details.join(', ')}` : body.error;
+}
+
+// Rejected parameters are the caller's fault (exit code 2); anything else
+// the service answers with is a service error (exit code 3).
+async function responseError(response) {
+    let message = `${response.status} ${response.statusText}`;
+    let body = null;
+    try {
+        body = await response.json();
+        if (body && body.error) message = `${message}: ${describeErrorBody(body)}`;
+    } catch (e) {
+        // Not a JSON error body.
+    }
+    const exitCode = response.status === 400 ? EXIT_CODES.USAGE : EXIT_CODES.SERVICE;
+    return cliError(exitCode, `The service responded ${message}`, { status: response.status, response: body });
+}
+
+/**
+ * Client of the conversion service's HTTP API, authenticated with an API
+ * key. Network failures and error responses are thrown as CLI errors.
+ */
+class ApiClient {
+    constructor({ server, apiKey }) {
+        this.server = server.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+    }
+
+    async request(method, route, { json, form, redirect = 'follow' } = {}) {
+        const headers = { 'User-Agent': USER_AGENT };
+        if (this.apiKey) headers['X-API-Key'] = this.apiKey;
+        if (json !== undefined) headers['Content-Type'] = 'application/json';
+
+        let response;
+        try {
+            response = await fetch(`${this.server}${route}`, {
+                method,
+                headers,
+                body: json !== undefined ? JSON.stringify(json) : form,
+                redirect
+            });
+        } catch (error) {
+            const reason = error.cause ? error.cause.message : error.message;
+            throw cliError(EXIT_CODES.SERVICE, `Could not reach ${this.server}: ${reason}`);
+        }
+        if (!response.ok && !(redirect === 'manual' && response.status >= 300 && response.status < 400)) {
+            throw await responseError(response);
+        }
+        return response;
+    }
+
+    /**
+     * Submits a conversion. `spec` holds the POST /convert fields; with an
+     * `iconPath` the request is sent as multipart form data with the icon.
+     * Resolves to the new jobId.
+     */
+    async convert(spec, iconPath) {
+        let response;
+        if (iconPath) {
+            const form = new FormData();
+            for (const [field, value] of Object.entries(spec)) {
+                if (value === undefined) continue;
+                // Structured fields are sent as JSON strings in multipart requests.
+                form.append(field, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+            form.append('icon', await fs.openAsBlob(iconPath), path.basename(iconPath));
+            response = await this.request('POST', '/convert', { form });
+        } else {
+            response = await this.request('POST', '/convert', { json: spec });
+        }
+        const { jobId } = await response.json();
+        return jobId;
+    }
+
+    async getJob(jobId) {
+        const response = await this.request('GET', `/job/${encodeURIComponent(jobId)}`);
+        return response.json();
+    }
+
+    async getLogs(jobId) {
+        const response = await this.request('GET', `/job/${encodeURIComponent(jobId)}/logs`);
+        return response.text();
+    }
+
+    /**
+     * Follows GET /job/:jobId/logs/stream, calling `onLine` for every log
+     * line. Resolves to the final { status, failedStage, error } of the job.
+     */
+    async followLogs(jobId, onLine) {
+        const response = await this.request('GET', `/job/${encodeURIComponent(jobId)}/logs/stream`);
+        const decoder = new TextDecoder();
+        let buffered = '';
+        for await (const chunk of response.body) {
+            buffered += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffered.indexOf('\n\n')) !== -1) {
+                const message = buffered.slice(0, end);
+                buffered = buffered.slice(end + 2);
+                let event = 'message';
+                const data = [];
+                for (const line of message.split('\n')) {
+                    if (line.startsWith('event: ')) event = line.slice('event: '.length);
+                    else if (line.startsWith('data: ')) data.push(line.slice('data: '.length));
+                }
+                if (event === 'end') return JSON.parse(data.join('\n'));
+                onLine(data.join('\n'));
+            }
+        }
+        // The server closes the stream without an "end" event when it shuts down.
+        throw cliError(EXIT_CODES.SERVICE, 'The log stream was closed before the job finished.');
+    }
+
+    async validate(body) {
+        const response = await this.request('POST', '/validate', { json: body });
+        return response.json();
+    }
+
+    /**
+     * Downloads an artifact of a job to `destination`. Artifacts kept in an
+     * object store are redirected to a presigned URL, which is fetched
+     * without the API key. Resolves to the { size, sha256 } of the file.
+     */
+    async download(jobId, type, destination) {
+        let response = await this.request('GET', `/job/${encodeURIComponent(jobId)}/artifacts/${type}`, { redirect: 'manual' });
+        if (response.status >= 300) {
+            const location = new URL(response.headers.get('location'), this.server);
+            try {
+                response = await fetch(location, { headers: { 'User-Agent': USER_AGENT } });
+            } catch (error) {
+                const reason = error.cause ? error.cause.message : error.message;
+                throw cliError(EXIT_CODES.SERVICE, `Could not download the ${type} of job ${jobId}: ${reason}`);
+            }
+            if (!response.ok) {
+                throw await responseError(response);
+            }
+        }
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        const body = Readable.fromWeb(response.body);
+        body.on('data', (chunk) => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        try {
+            await pipeline(body, fs.createWriteStream(destination));
+        } catch (error) {
+            fs.rmSync(destination, { force: true });
+            throw cliError(EXIT_CODES.SERVICE, `Could not download the ${type} of job ${jobId}: ${error.message}`);
+        }
+        return { size, sha256: hash.digest('hex') };
+    }
+}
+
+module.exports = { ApiClient };
@@ -0,0 +1,22 @@
+// Exit codes of the nodebubblewrap CLI, documented in the README.
+const EXIT_CODES = {
+    OK: 0,
+    // The job failed, was cancelled or expired, or the manifest is invalid.
+    FAILED: 1,
+    // Invalid command line, or parameters the service rejected.
+    USAGE: 2,
+    // The service (or, with --local, the build environment) could not be used.
+    SERVICE: 3,
+    // The job did not finish within --timeout.
+    TIMEOUT: 4
+};
+
+// An error that ends the CLI with `exitCode`. `details` is added to --json output.
+function cliError(exitCode, message, details = {}) {
+    const error = new Error(message);
+    error.exitCode = exitCode;
+    error.details = details;
+    return error;
+}
+
+module.exports = { EXIT_CODES, cliError };
@@ -0,0 +1,468 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ApiClient } = require('./apiClient');
+const { EXIT_CODES, cliError } = require('./errors');
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+const POLL_INTERVAL = 2000;
+// Consecutive failed status requests tolerated while waiting for a job.
+const MAX_POLL_FAILURES = 5;
+const DEFAULT_WAIT_TIMEOUT = 3600;
+
+const USAGE = `Usage: nodebubblewrap <command> [options]
+
+Commands:
+  convert <url>         Convert a PWA, wait for the build and download its files
+  status <jobId>        Show the status of a job
+  logs <jobId>          Print the build log of a job
+  download <jobId>      Download the files of a completed job
+  validate [url]        Check a web app manifest without building
+
+Options:
+  --server <url>        API server (default $BUBBLEWRAP_SERVER_URL or http://localhost:3000)
+  --api-key <key>       API key (default $BUBBLEWRAP_API_KEY)
+  --json                Print the result as JSON on stdout
+  -q, --quiet           Print no progress on stderr
+  -h, --help            Show this help
+
+convert:
+  --manifest-url <url>  Web app manifest, instead of discovering it from the page
+  --twa <json|@file>    Android app options, as the "twa" field of POST /convert
+  --outputs <list>      Comma-separated outputs: apk, aab, source (default apk,aab)
+  --variant <variant>   release (default) or debug
+  --universal-apk       Also derive a universal APK from the AAB
+  --icon <file>         Icon to generate the app icons from
+  -o, --out <dir>       Directory to download the files to (default .)
+  --timeout <seconds>   Stop waiting after this long (default ${DEFAULT_WAIT_TIMEOUT})
+  --detach              Only submit the job and print its ID
+  --local               Build in this process, without the API server
+
+logs:
+  -f, --follow          Stream the log until the job finishes
+
+download:
+  -o, --out <dir>       Directory to download the files to (default .)
+  --type <type>         Only download this artifact type (repeatable)
+
+validate:
+  --manifest-url <url>  Manifest URL, instead of discovering it from [url]
+  --manifest <file>     Validate this manifest JSON file (needs --manifest-url)
+
+Exit codes: 0 success, 1 job failed or manifest invalid, 2 usage error,
+3 service or build environment error, 4 timed out waiting for the job.`;
+
+const OPTIONS = {
+    server: { type: 'string' },
+    'api-key': { type: 'string' },
+    json: { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    'manifest-url': { type: 'string' },
+    twa: { type: 'string' },
+    outputs: { type: 'string' },
+    variant: { type: 'string' },
+    'universal-apk': { type: 'boolean' },
+    icon: { type: 'string' },
+    out: { type: 'string', short: 'o' },
+    timeout: { type: 'string' },
+    detach: { type: 'boolean' },
+    local: { type: 'boolean' },
+    follow: { type: 'boolean', short: 'f' },
+    type: { type: 'string', multiple: true },
+    manifest: { type: 'string' }
+};
+
+const GLOBAL_OPTIONS = ['server', 'api-key', 'json', 'quiet', 'help'];
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 75000 → "1m15s"
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function readJsonFile(file, option) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw cliError(EXIT_CODES.USAGE, `${option}: could not read JSON from ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Where the CLI writes to. Results go to stdout, as text or with --json as
+ * one JSON document; progress and messages go to stderr unless --quiet.
+ */
+class Output {
+    constructor({ json = false, quiet = false }) {
+        this.json = json;
+        this.quiet = quiet;
+    }
+
+    info(message) {
+        if (!this.quiet) process.stderr.write(`${message}\n`);
+    }
+
+    error(message) {
+        process.stderr.write(`${message}\n`);
+    }
+
+    // Prints `value` as JSON with --json, else the text `lines`.
+    result(value, lines) {
+        if (this.json) {
+            process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+        } else if (lines.length > 0) {
+            process.stdout.write(`${lines.join('\n')}\n`);
+        }
+    }
+
+    progress() {
+        return new ProgressLine(!this.quiet);
+    }
+}
+
+// A status line on stderr: rewritten in place on a terminal, printed on
+// every change otherwise, so CI logs get one line per stage.
+class ProgressLine {
+    constructor(enabled) {
+        this.enabled = enabled;
+        this.tty = Boolean(process.stderr.isTTY);
+        this.started = Date.now();
+        this.last = null;
+    }
+
+    update(text) {
+        if (!this.enabled) return;
+        const elapsed = formatDuration(Date.now() - this.started);
+        if (this.tty) {
+            process.stderr.write(`\r\x1b[K${text} (${elapsed})`);
+        } else if (text !== this.last) {
+            process.stderr.write(`[${elapsed}] ${text}\n`);
+        }
+        this.last = text;
+    }
+
+    end() {
+        if (this.enabled && this.tty && this.last !== null) process.stderr.write('\n');
+    }
+}
+
+function createClient(values) {
+    return new ApiClient({
+        server: values.server || process.env.BUBBLEWRAP_SERVER_URL || 'http://localhost:3000',
+        apiKey: values['api-key'] || process.env.BUBBLEWRAP_API_KEY
+    });
+}
+
+// Returns the single <jobId> (or <url>) argument of a command.
+function requireArgument(positionals, name) {
+    if (positionals.length !== 1) {
+        throw cliError(EXIT_CODES.USAGE, `Expected one <${name}> argument.`);
+    }
+    return positionals[0];
+}
+
+function exitCodeFor(status) {
+    return status === 'completed' ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+}
+
+// Polls the job until it finishes or `timeout` ms have passed, showing its progress.
+async function waitForJob(client, jobId, timeout, output) {
+    const started = Date.now();
+    const progress = output.progress();
+    let failures = 0;
+    try {
+        for (;;) {
+            let job;
+            try {
+                job = await client.getJob(jobId);
+                failures = 0;
+            } catch (error) {
+                // A network blip should not fail a build that is still running.
+                if (error.exitCode !== EXIT_CODES.SERVICE || ++failures >= MAX_POLL_FAILURES) throw error;
+            }
+            if (job && FINAL_STATUSES.includes(job.status)) return job;
+            if (job) progress.update(`Job ${jobId}: ${job.progress}`);
+            if (Date.now() - started >= timeout) {
+                const status = job ? job.status : 'unknown';
+                throw cliError(
+                    EXIT_CODES.TIMEOUT,
+                    `Timed out after ${formatDuration(timeout)} waiting for job ${jobId}; it is still ${status}.`,
+                    { jobId, status }
+                );
+            }
+            await sleep(POLL_INTERVAL);
+        }
+    } finally {
+        progress.end();
+    }
+}
+
+/**
+ * Downloads the artifacts of a completed job (or only `types`) to `outDir`
+ * and checks them against the SHA-256 checksums the job reports. Returns
+ * { type: { path, size, sha256 } }.
+ */
+async function downloadArtifacts(client, job, outDir, types, output) {
+    const available = Object.keys(job.files || {});
+    if (job.assetlinks) available.push('assetlinks');
+    const selected = types || available;
+    const missing = selected.filter((type) => !available.includes(type));
+    if (missing.length > 0) {
+        throw cliError(EXIT_CODES.USAGE, `Job ${job.jobId} has no ${missing.join(', ')}; available: ${available.join(', ')}.`);
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const files = {};
+    for (const type of selected) {
+        const filename = type === 'assetlinks' ? 'assetlinks.json' : path.basename(job.files[type]);
+        const destination = path.join(outDir, filename);
+        const { size, sha256 } = await client.download(job.jobId, type, destination);
+        const expected = job.artifacts && job.artifacts[type];
+        if (expected && expected.sha256 !== sha256) {
+            fs.rmSync(destination, { force: true });
+            throw cliError(EXIT_CODES.SERVICE, `The SHA-256 checksum of ${filename} does not match; the download is corrupt.`, { jobId: job.jobId });
+        }
+        output.info(`Downloaded ${filename} (${formatSize(size)}).`);
+        files[type] = { path: destination, size, sha256 };
+    }
+    return files;
+}
+
+// Prints the outcome of a conversion; `remote` adds a hint to read the log.
+function reportResult(output, result, { remote }) {
+    if (result.status !== 'completed' && !output.json) {
+        const stage = result.failedStage ? ` during stage '${result.failedStage}'` : '';
+        output.error(`Job ${result.jobId} ${result.status}${stage}${result.error ? `: ${result.error}` : '.'}`);
+        if (remote) output.error(`Run "nodebubblewrap logs ${result.jobId}" for the build log.`);
+    }
+    const lines = [];
+    if (result.status === 'completed') {
+        lines.push(`Job ${result.jobId} completed.`);
+        for (const [type, file] of Object.entries(result.files)) {
+            lines.push(`  ${type.padEnd(12)} ${file.path} (${formatSize(file.size)})`);
+        }
+        for (const [type, entry] of Object.entries(result.report || {})) {
+            const pkg = entry.packageName ? `${entry.packageName} ${entry.versionName} (${entry.versionCode}), targetSdk ${entry.targetSdkVersion}, ` : '';
+            lines.push(`  ${type.padEnd(12)} ${pkg}signed ${entry.signature.schemes.join('+')} with ${entry.signature.sha256}`);
+        }
+    }
+    output.result(result, lines);
+    return exitCodeFor(result.status);
+}
+
+async function convert({ values, positionals, output }) {
+    const url = requireArgument(positionals, 'url');
+    let twa;
+    if (values.twa !== undefined) {
+        if (values.twa.startsWith('@')) {
+            twa = readJsonFile(values.twa.slice(1), '--twa');
+        } else {
+            try {
+                twa = JSON.parse(values.twa);
+            } catch (error) {
+                throw cliError(EXIT_CODES.USAGE, `--twa: invalid JSON: ${error.message}`);
+            }
+        }
+    }
+    const spec = {
+        url,
+        manifestUrl: values['manifest-url'],
+        twa,
+        outputs: values.outputs !== undefined ? values.outputs.split(',').map((output) => output.trim()) : undefined,
+        variant: values.variant,
+        universalApk: values['universal-apk']
+    };
+    const iconPath = values.icon !== undefined ? path.resolve(values.icon) : undefined;
+    if (iconPath && !fs.existsSync(iconPath)) {
+        throw cliError(EXIT_CODES.USAGE, `--icon: ${values.icon} does not exist.`);
+    }
+    const outDir = path.resolve(values.out || '.');
+
+    if (values.local) {
+        for (const option of ['server', 'api-key', 'timeout', 'detach']) {
+            if (values[option] !== undefined) {
+                throw cliError(EXIT_CODES.USAGE, `--${option} cannot be used with --local.`);
+            }
+        }
+        // The services log to the console; stdout is kept for the result.
+        console.log = output.quiet ? () => {} : console.error;
+        console.info = console.log;
+        const { runLocalConversion } = require('./localRunner');
+        const result = await runLocalConversion(spec, {
+            iconPath,
+            outDir,
+            onStart: (jobId) => output.info(`Building job ${jobId} in this process...`)
+        });
+        return reportResult(output, result, { remote: false });
+    }
+
+    let timeout = DEFAULT_WAIT_TIMEOUT * 1000;
+    if (values.timeout !== undefined) {
+        const seconds = Number(values.timeout);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            throw cliError(EXIT_CODES.USAGE, '--timeout must be a positive number of seconds.');
+        }
+        timeout = seconds * 1000;
+    }
+
+    const client = createClient(values);
+    const jobId = await client.convert(spec, iconPath);
+    output.info(`Submitted job ${jobId}.`);
+    if (values.detach) {
+        output.result({ jobId, status: 'pending' }, [jobId]);
+        return EXIT_CODES.OK;
+    }
+
+    const job = await waitForJob(client, jobId, timeout, output);
+    const files = job.status === 'completed' ? await downloadArtifacts(client, job, outDir, null, output) : {};
+    return reportResult(output, {
+        jobId,
+        status: job.status,
+        failedStage: job.failedStage,
+        error: job.error,
+        report: job.report || null,
+        files
+    }, { remote: true });
+}
+
+async function status({ values, positionals, output }) {
+    const jobId = requireArgument(positionals, 'jobId');
+    const job = await createClient(values).getJob(jobId);
+    const lines = [`Job ${job.jobId}: ${job.progress}`, `  url          ${job.url}`];
+    lines.push(`  created      ${new Date(job.created).toISOString()}`);
+    if (job.finished) lines.push(`  finished     ${new Date(job.finished).toISOString()}`);
+    if (job.error) lines.push(`  error        ${job.failedStage ? `[${job.failedStage}] ` : ''}${job.error}`);
+    for (const [type, info] of Object.entries(job.artifacts || {})) {
+        lines.push(`  ${type.padEnd(12)} ${info.file} (${formatSize(info.size)})`);
+    }
+    output.result(job, lines);
+    return ['failed', 'cancelled', 'expired'].includes(job.status) ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+}
+
+async function logs({ values, positionals, output }) {
+    const jobId = requireArgument(positionals, 'jobId');
+    const client = createClient(values);
+    if (!values.follow) {
+        const log = await client.getLogs(jobId);
+        if (output.json) {
+            output.result({ jobId, log }, []);
+        } else {
+            process.stdout.write(log);
+        }
+        return EXIT_CODES.OK;
+    }
+
+    // With --json, every line and the final status are printed as one JSON object per line.
+    const end = await client.followLogs(jobId, (line) => {
+        process.stdout.write(output.json ? `${JSON.stringify({ line })}\n` : `${line}\n`);
+    });
+    if (output.json) {
+        process.stdout.write(`${JSON.stringify({ jobId, ...end })}\n`);
+    } else if (end.status !== 'completed') {
+        const stage = end.failedStage ? ` during stage '${end.failedStage}'` : '';
+        output.error(`Job ${jobId} ${end.status}${stage}${end.error ? `: ${end.error}` : '.'}`);
+    }
+    return exitCodeFor(end.status);
+}
+
+async function download({ values, positionals, output }) {
+    const jobId = requireArgument(positionals, 'jobId');
+    const client = createClient(values);
+    const job = await client.getJob(jobId);
+    if (job.status !== 'completed') {
+        throw cliError(EXIT_CODES.FAILED, `Job ${jobId} is ${job.status}; only completed jobs have files to download.`, { jobId, status: job.status });
+    }
+    const files = await downloadArtifacts(client, job, path.resolve(values.out || '.'), values.type, output);
+    const lines = Object.entries(files).map(([type, file]) => `${type.padEnd(12)} ${file.path} (${formatSize(file.size)})`);
+    output.result({ jobId, files }, lines);
+    return EXIT_CODES.OK;
+}
+
+async function validate({ values, positionals, output }) {
+    if (positionals.length > 1) {
+        throw cliError(EXIT_CODES.USAGE, 'Expected at most one [url] argument.');
+    }
+    const body = { url: positionals[0], manifestUrl: values['manifest-url'] };
+    if (values.manifest !== undefined) {
+        if (!body.manifestUrl) {
+            throw cliError(EXIT_CODES.USAGE, '--manifest needs --manifest-url, which its relative URLs are resolved against.');
+        }
+        body.manifest = readJsonFile(values.manifest, '--manifest');
+    }
+    if (!body.url && !body.manifestUrl) {
+        throw cliError(EXIT_CODES.USAGE, 'Expected a [url] argument or --manifest-url.');
+    }
+
+    const result = await createClient(values).validate(body);
+    const lines = [`${result.manifestUrl || body.url}: ${result.valid ? 'valid' : 'invalid'}`];
+    for (const error of result.errors) lines.push(`  error    ${error.field}: ${error.message}`);
+    for (const warning of result.warnings) lines.push(`  warning  ${warning.field}: ${warning.message}`);
+    output.result(result, lines);
+    return result.valid ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+}
+
+const COMMANDS = {
+    convert: {
+        run: convert,
+        options: ['manifest-url', 'twa', 'outputs', 'variant', 'universal-apk', 'icon', 'out', 'timeout', 'detach', 'local']
+    },
+    status: { run: status, options: [] },
+    logs: { run: logs, options: ['follow'] },
+    download: { run: download, options: ['out', 'type'] },
+    validate: { run: validate, options: ['manifest-url', 'manifest'] }
+};
+
+/**
+ * Runs the CLI with the arguments `argv` (without node and the script) and
+ * resolves to the process exit code. See USAGE and the README.
+ */
+async function main(argv) {
+    let output = new Output({});
+    try {
+        let parsed;
+        try {
+            parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+        } catch (error) {
+            throw cliError(EXIT_CODES.USAGE, error.message);
+        }
+        const { values, positionals } = parsed;
+        output = new Output({ json: values.json, quiet: values.quiet });
+
+        const [name, ...args] = positionals;
+        if (values.help || !name) {
+            process.stdout.write(`${USAGE}\n`);
+            return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+        }
+        const command = COMMANDS[name];
+        if (!command) {
+            throw cliError(EXIT_CODES.USAGE, `Unknown command "${name}".`);
+        }
+        const misplaced = Object.keys(values).find((option) => !GLOBAL_OPTIONS.includes(option) && !command.options.includes(option));
+        if (misplaced) {
+            throw cliError(EXIT_CODES.USAGE, `--${misplaced} is not an option of "${name}".`);
+        }
+        return await command.run({ values, positionals: args, output });
+    } catch (error) {
+        const exitCode = error.exitCode !== undefined ? error.exitCode : EXIT_CODES.SERVICE;
+        if (output.json) {
+            output.result({ error: error.message, exitCode, ...error.details }, []);
+        } else {
+            output.error(`Error: ${error.message}`);
+            if (exitCode === EXIT_CODES.USAGE && !error.details.status) output.error('Run "nodebubblewrap --help" for usage.');
+        }
+        return exitCode;
+    }
+}
+
+module.exports = { main };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const preflight = require('../services/preflight');
+const projectCache = require('../services/projectCache');
+const artifacts = require('../services/artifacts');
+const { processConversionJob } = require('../services/conversion');
+const { parseConversionSpec } = require('../services/conversionSpec');
+const { JobLogger } = require('../services/jobLogger');
+const { sanitizeMessage } = require('../utils/sanitize');
+const { version } = require('../../package.json');
+const { EXIT_CODES, cliError } = require('./errors');
+
+function jobAbortError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function parseColumn(value) {
+    return value ? JSON.parse(value) : null;
+}
+
+// Copies the outputs of a completed job from the artifact storage to `outDir`.
+async function copyArtifacts(row, outDir) {
+    const info = parseColumn(row.artifacts) || {};
+    const files = {};
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [type, filename] of Object.entries(parseColumn(row.files) || {})) {
+        const destination = path.join(outDir, filename);
+        await artifacts.storage.get(filename, destination);
+        files[type] = { path: destination, size: fs.statSync(destination).size, sha256: info[type] ? info[type].sha256 : null };
+    }
+    if (row.assetlinks) {
+        const destination = path.join(outDir, 'assetlinks.json');
+        fs.writeFileSync(destination, row.assetlinks);
+        files.assetlinks = { path: destination, size: fs.statSync(destination).size, sha256: null };
+    }
+    return files;
+}
+
+/**
+ * Runs a conversion in this process, for build machines without the API
+ * server: the job is enqueued in the local database and claimed at once, so
+ * it is recorded like any other job and no worker picks it up. Its outputs
+ * are then copied from the artifact storage to `outDir`.
+ *
+ * `spec` holds the POST /convert fields. SIGINT and SIGTERM cancel the build,
+ * as does JOB_TIMEOUT. Resolves to { jobId, status, failedStage, error,
+ * report, files }, with files as { type: { path, size, sha256 } }.
+ */
+async function runLocalConversion(spec, { iconPath, outDir, onStart = () => {} }) {
+    if (!config.keystoreMasterKey) {
+        throw cliError(EXIT_CODES.SERVICE, 'KEYSTORE_MASTER_KEY must be set to encrypt keystore passwords.');
+    }
+    const { errors, payload } = parseConversionSpec(spec);
+    if (errors.length > 0) {
+        const fields = errors.map((error) => `${error.field} (${error.message || `expected ${error.expectedType}`})`);
+        throw cliError(EXIT_CODES.USAGE, `Missing or invalid parameters: ${fields.join(', ')}`, { details: errors });
+    }
+
+    await database.init();
+    try {
+        const status = await preflight.run();
+        if (!status.healthy) {
+            const checks = preflight.failures();
+            const problems = Object.entries(checks).map(([name, message]) => `${name}: ${message}`);
+            throw cliError(EXIT_CODES.SERVICE, `The build environment is not ready. ${problems.join('; ')}`, { checks });
+        }
+
+        const jobId = uuidv4();
+        await jobQueue.enqueue(jobId, { ...payload, iconPath }, { client: { userAgent: `nodebubblewrap-cli/${version}` } });
+        // Nothing renews the lease, so it outlasts the build timeout: workers
+        // sharing the database must not recover the job while it runs here.
+        const job = await jobQueue.claim(jobId, `cli:${os.hostname()}:${process.pid}`, config.command_timeout + config.jobLeaseDuration);
+        onStart(jobId);
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => {
+            controller.abort(jobAbortError('JOB_TIMEOUT', `Build timed out after ${Math.round(config.command_timeout / 1000)} seconds.`));
+        }, config.command_timeout);
+        const cancel = () => controller.abort(jobAbortError('JOB_CANCELLED', 'Job was cancelled.'));
+        process.once('SIGINT', cancel);
+        process.once('SIGTERM', cancel);
+
+        const log = new JobLogger(jobId, { signal: controller.signal });
+        const domain = new URL(job.url).hostname;
+        const lockOptions = {
+            signal: controller.signal,
+            onWait: () => log.info(`Waiting for another build of ${domain} to finish...`)
+        };
+        try {
+            const { files, artifacts: artifactInfo } = await projectCache.withLock(domain, lockOptions, () =>
+                processConversionJob({ ...job, manifestUrl: job.manifestUrl ? new URL(job.manifestUrl) : undefined }, log)
+            );
+            log.throwIfAborted();
+            await jobQueue.complete(jobId, files, artifactInfo);
+        } catch (error) {
+            if (error.code === 'JOB_CANCELLED') {
+                log.warn(`Cancelled during stage '${log.stage}'.`);
+                await jobQueue.markCancelled(jobId, log.stage);
+            } else {
+                log.error(`Failed during stage '${log.stage}':`, error.stack || error.message);
+                await jobQueue.fail(jobId, sanitizeMessage(error.message), log.stage);
+            }
+        } finally {
+            log.endStage();
+            clearTimeout(timeout);
+            process.removeListener('SIGINT', cancel);
+            process.removeListener('SIGTERM', cancel);
+        }
+
+        const row = await jobQueue.getJob(jobId);
+        return {
+            jobId,
+            status: row.status,
+            failedStage: row.failedStage,
+            error: row.error,
+            report: parseColumn(row.report),
+            files: row.status === 'completed' ? await copyArtifacts(row, outDir) : {}
+        };
+    } finally {
+        await database.close();
+    }
+}
+
+module.exports = { runLocalConversion };
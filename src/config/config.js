@@ -3,12 +3,50 @@ require('dotenv').config();
 module.exports = {
     port: process.env.PORT || 3000,
     nodeEnv: process.env.NODE_ENV || 'development',
+    databasePath: process.env.DATABASE_PATH || 'jobs.sqlite',
     uploadDir: process.env.UPLOAD_DIR || 'uploads',
     outputDir: process.env.OUTPUT_DIR || 'output',
+    storageBackend: process.env.STORAGE_BACKEND || 'local',
+    keystoreStorageBackend: process.env.KEYSTORE_STORAGE_BACKEND || 'local',
+    keystoreDir: process.env.KEYSTORE_DIR || 'keystores',
+    s3Endpoint: process.env.S3_ENDPOINT,
+    s3Region: process.env.S3_REGION || 'us-east-1',
+    s3Bucket: process.env.S3_BUCKET,
+    keystoreS3Bucket: process.env.KEYSTORE_S3_BUCKET,
+    s3Prefix: process.env.S3_PREFIX || '',
+    s3AccessKeyId: process.env.S3_ACCESS_KEY_ID,
+    s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    s3PresignTtl: parseInt(process.env.S3_PRESIGN_TTL, 10) || 300,
     androidSdkPath: process.env.ANDROID_HOME,
     maxFileSize: process.env.MAX_FILE_SIZE || '10mb',
-    command_timeout: 600000, 
-    maxProcess: process.env.maxProcess || 3,
-    maxConvertProcess: process.env.maxConvertProcess || 3,
-    jdkPath: process.env.JAVA_HOME || '/Library/Java/JavaVirtualMachines/zulu-17.jdk'
+    command_timeout: parseInt(process.env.JOB_TIMEOUT, 10) || 600000,
+    defaultMaxConcurrentJobs: parseInt(process.env.DEFAULT_MAX_CONCURRENT_JOBS, 10) || 2,
+    defaultMaxBuildsPerDay: parseInt(process.env.DEFAULT_MAX_BUILDS_PER_DAY, 10) || 20,
+    maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE, 10) || 50,
+    workerConcurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 2,
+    workerPollInterval: parseInt(process.env.WORKER_POLL_INTERVAL, 10) || 2000,
+    jobLeaseDuration: parseInt(process.env.JOB_LEASE_DURATION, 10) || 60000,
+    shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 30000,
+    maxJobAttempts: parseInt(process.env.MAX_JOB_ATTEMPTS, 10) || 3,
+    keystoreMasterKey: process.env.KEYSTORE_MASTER_KEY,
+    adminToken: process.env.ADMIN_TOKEN,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    webhookRetries: parseInt(process.env.WEBHOOK_RETRIES, 10) || 5,
+    webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000,
+    projectCacheDir: process.env.PROJECT_CACHE_DIR || 'projects',
+    jobLogDir: process.env.JOB_LOG_DIR || 'logs/jobs',
+    downloadUrlSecret: process.env.DOWNLOAD_URL_SECRET,
+    downloadUrlTtl: parseInt(process.env.DOWNLOAD_URL_TTL, 10) || 3600,
+    publicUrl: process.env.PUBLIC_URL,
+    artifactRetention: (parseFloat(process.env.ARTIFACT_RETENTION_HOURS) || 72) * 60 * 60 * 1000,
+    retentionSweepInterval: parseInt(process.env.RETENTION_SWEEP_INTERVAL, 10) || 60 * 60 * 1000,
+    fetchTimeout: parseInt(process.env.FETCH_TIMEOUT, 10) || 15000,
+    fetchMaxBytes: parseInt(process.env.FETCH_MAX_BYTES, 10) || 5 * 1024 * 1024,
+    fetchMaxRedirects: parseInt(process.env.FETCH_MAX_REDIRECTS, 10) || 5,
+    fetchAllowPrivateNetworks: process.env.FETCH_ALLOW_PRIVATE_NETWORKS === 'true',
+    bundletoolPath: process.env.BUNDLETOOL_PATH,
+    minFreeDiskSpace: (parseInt(process.env.MIN_FREE_DISK_MB, 10) || 1024) * 1024 * 1024,
+    healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL, 10) || 60000,
+    jdkPath: process.env.JAVA_HOME
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+const config = require('../config/config');
+const { safeEqual } = require('../utils/secrets');
+
+// Protects administrative routes with the ADMIN_TOKEN bearer token.
+function requireAdmin(req, res, next) {
+    if (!config.adminToken) {
+        return res.status(503).json({ error: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+    if (!token || !safeEqual(token, config.adminToken)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+module.exports = { requireAdmin };
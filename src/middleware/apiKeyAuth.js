@@ -0,0 +1,25 @@
+const apiKeys = require('../services/apiKeys');
+
+// Requires a valid API key in the "X-API-Key" header or as a bearer token,
+// and exposes its record as req.apiKey.
+async function requireApiKey(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const key = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '');
+    if (!key) {
+        return res.status(401).json({ error: 'API key required' });
+    }
+
+    try {
+        const apiKey = await apiKeys.authenticate(key);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        console.error('Error authenticating API key:', error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+}
+
+module.exports = { requireApiKey };
@@ -0,0 +1,46 @@
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const config = require('../config/config');
+
+const ICON_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Parses sizes such as "10mb" or "15000000" (bytes), as used by MAX_FILE_SIZE.
+function parseSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!match) return 10 * SIZE_UNITS.mb;
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+const uploadDir = path.join(__dirname, '..', '..', config.uploadDir);
+fs.mkdirSync(uploadDir, { recursive: true });
+
+const upload = multer({
+    dest: uploadDir,
+    limits: { fileSize: parseSize(config.maxFileSize), files: 1 },
+    fileFilter: (req, file, cb) => {
+        req.iconRejected = !ICON_TYPES.includes(file.mimetype);
+        cb(null, !req.iconRejected);
+    }
+}).single('icon');
+
+// Accepts an optional "icon" image in multipart/form-data requests and exposes
+// it as req.file. JSON requests pass through untouched.
+function iconUpload(req, res, next) {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `The icon exceeds the maximum upload size of ${config.maxFileSize}.`
+                : `Invalid upload: ${err.message}`;
+            return res.status(400).json({ error: message });
+        }
+        if (err) return next(err);
+        if (req.iconRejected) {
+            return res.status(400).json({ error: `The icon must be one of: ${ICON_TYPES.join(', ')}.` });
+        }
+        next();
+    });
+}
+
+module.exports = { iconUpload, parseSize };
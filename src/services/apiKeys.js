@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const config = require('../config/config');
+
+const KEY_PREFIX = 'nbw_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API keys identify the tenant that owns each job. Only a SHA-256 hash of
+// each key is stored; the key itself is returned once, when it is created.
+class ApiKeys {
+    async create({ name, maxConcurrentJobs, maxBuildsPerDay }) {
+        const id = uuidv4();
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const created = Date.now();
+        const record = {
+            id,
+            name,
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            created,
+            revoked: null,
+            lastUsed: null,
+            maxConcurrentJobs: maxConcurrentJobs || config.defaultMaxConcurrentJobs,
+            maxBuildsPerDay: maxBuildsPerDay || config.defaultMaxBuildsPerDay
+        };
+        await database.run(
+            "INSERT INTO api_keys (id, name, keyHash, prefix, created, maxConcurrentJobs, maxBuildsPerDay) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [id, name, hashKey(key), record.prefix, created, record.maxConcurrentJobs, record.maxBuildsPerDay]
+        );
+        return { ...record, key };
+    }
+
+    async list() {
+        return database.all(
+            "SELECT id, name, prefix, created, revoked, lastUsed, maxConcurrentJobs, maxBuildsPerDay FROM api_keys ORDER BY created DESC"
+        );
+    }
+
+    async revoke(id) {
+        const result = await database.run(
+            "UPDATE api_keys SET revoked = ? WHERE id = ? AND revoked IS NULL",
+            [Date.now(), id]
+        );
+        return result.changes > 0;
+    }
+
+    // Returns the active API key record with the given ID, or null.
+    async get(id) {
+        const row = await database.get(
+            "SELECT id, name, maxConcurrentJobs, maxBuildsPerDay FROM api_keys WHERE id = ? AND revoked IS NULL",
+            [id]
+        );
+        return row || null;
+    }
+
+    // Returns the active API key record for a presented key, or null.
+    async authenticate(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+        const row = await database.get(
+            "SELECT id, name, maxConcurrentJobs, maxBuildsPerDay FROM api_keys WHERE keyHash = ? AND revoked IS NULL",
+            [hashKey(key)]
+        );
+        if (row) {
+            await database.run("UPDATE api_keys SET lastUsed = ? WHERE id = ?", [Date.now(), row.id]);
+        }
+        return row || null;
+    }
+
+    /**
+     * The key's quota in the form jobQueue.enqueue takes. Batches only count
+     * against the daily limit (`concurrent: false`).
+     */
+    limits(apiKey, { concurrent = true } = {}) {
+        return {
+            active: concurrent ? apiKey.maxConcurrentJobs : undefined,
+            recent: apiKey.maxBuildsPerDay,
+            since: Date.now() - DAY_MS
+        };
+    }
+
+    /**
+     * Checks whether the key may start another build. Returns null when it may,
+     * or a message describing the exceeded quota.
+     */
+    async checkQuota(apiKey) {
+        const { active } = await database.get(
+            "SELECT COUNT(*) AS active FROM jobs WHERE apiKeyId = ? AND status IN ('pending', 'processing')",
+            [apiKey.id]
+        );
+        if (active >= apiKey.maxConcurrentJobs) {
+            return `Concurrent job limit reached (${apiKey.maxConcurrentJobs}). Wait for a running job to finish.`;
+        }
+
+        return this.checkDailyQuota(apiKey, 1);
+    }
+
+    /**
+     * Checks whether the key may start `count` more builds within its daily
+     * limit. Returns null when it may, or a message describing the limit.
+     */
+    async checkDailyQuota(apiKey, count) {
+        const { today } = await database.get(
+            "SELECT COUNT(*) AS today FROM jobs WHERE apiKeyId = ? AND created > ?",
+            [apiKey.id, Date.now() - DAY_MS]
+        );
+        if (today + count > apiKey.maxBuildsPerDay) {
+            return count === 1
+                ? `Daily build limit reached (${apiKey.maxBuildsPerDay} per 24 hours).`
+                : `Daily build limit exceeded: ${count} builds requested, ${Math.max(apiKey.maxBuildsPerDay - today, 0)} of ${apiKey.maxBuildsPerDay} left in the last 24 hours.`;
+        }
+        return null;
+    }
+}
+
+module.exports = new ApiKeys();
@@ -0,0 +1,100 @@
+const database = require('./database');
+
+// Tracks the versionCode/versionName of each app (keyed by domain) so every
+// new build of the same site can be uploaded to the Play Store. An app
+// belongs to the API key whose job first built it: only that key may build
+// it again, since its builds are signed with the domain's keystore.
+class AppVersions {
+    /**
+     * Reserves the versionCode for the next build of an app. Uses the explicit
+     * override when given, otherwise bumps the last recorded versionCode. The
+     * first build of an app uses `initialVersionCode` and makes `apiKeyId` its
+     * owner. Throws if the app belongs to another API key; jobs without one
+     * (the CLI's --local mode) may build any app.
+     */
+    async reserveVersion(domain, apiKeyId, packageId, override, initialVersionCode = 1) {
+        const explicit = Number.isInteger(override) ? override : null;
+        const row = await database.get(
+            `INSERT INTO apps (domain, apiKeyId, packageId, lastVersionCode, updated) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT(domain) DO UPDATE SET
+               apiKeyId = COALESCE(apps.apiKeyId, excluded.apiKeyId),
+               packageId = excluded.packageId,
+               lastVersionCode = COALESCE(?, apps.lastVersionCode + 1, excluded.lastVersionCode),
+               updated = excluded.updated
+             WHERE ? IS NULL OR apps.apiKeyId IS NULL OR apps.apiKeyId = ?
+             RETURNING lastVersionCode`,
+            [domain, apiKeyId, packageId, explicit || initialVersionCode, Date.now(), explicit, apiKeyId, apiKeyId]
+        );
+        if (!row) {
+            throw new Error(`The app of ${domain} belongs to another API key.`);
+        }
+        return row.lastVersionCode;
+    }
+
+    // The API key that owns an app, or null when the app has no owner yet.
+    async getOwner(domain) {
+        const row = await database.get("SELECT apiKeyId FROM apps WHERE domain = ?", [domain]);
+        return row ? row.apiKeyId : null;
+    }
+
+    // Whether an API key may build an app: it owns it, or nobody does yet.
+    async mayBuild(domain, apiKeyId) {
+        const owner = await this.getOwner(domain);
+        return owner === null || owner === apiKeyId;
+    }
+
+    // Gives an app to an API key, e.g. with a keystore uploaded by an admin.
+    async setOwner(domain, apiKeyId) {
+        await database.run(
+            `INSERT INTO apps (domain, apiKeyId, updated) VALUES (?, ?, ?)
+             ON CONFLICT(domain) DO UPDATE SET apiKeyId = excluded.apiKeyId, updated = excluded.updated`,
+            [domain, apiKeyId, Date.now()]
+        );
+    }
+
+    // Records a successful build and remembers its twa-manifest as the app's latest.
+    async recordBuild({ domain, jobId, twaManifest, files }) {
+        const created = Date.now();
+        await database.run(
+            "INSERT INTO app_builds (domain, jobId, packageId, versionCode, versionName, files, created) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [domain, jobId, twaManifest.packageId, twaManifest.appVersionCode, twaManifest.appVersion, JSON.stringify(files), created]
+        );
+        await database.run(
+            "UPDATE apps SET lastVersionName = ?, twaManifest = ?, updated = ? WHERE domain = ?",
+            [twaManifest.appVersion, JSON.stringify(twaManifest), created, domain]
+        );
+    }
+
+    async getApp(domain) {
+        const app = await database.get("SELECT * FROM apps WHERE domain = ?", [domain]);
+        if (app && app.twaManifest) {
+            app.twaManifest = JSON.parse(app.twaManifest);
+        }
+        return app;
+    }
+
+    // Builds of an app, newest first. With `apiKeyId`, only the builds of
+    // that API key's jobs.
+    async listBuilds(domain, { apiKeyId = null } = {}) {
+        const rows = await database.all(
+            `SELECT b.jobId, b.packageId, b.versionCode, b.versionName, b.files, b.created
+               FROM app_builds b
+               ${apiKeyId !== null ? 'JOIN jobs j ON j.jobId = b.jobId AND j.apiKeyId = ?' : ''}
+              WHERE b.domain = ?
+              ORDER BY b.created DESC`,
+            apiKeyId !== null ? [apiKeyId, domain] : [domain]
+        );
+        return rows.map((row) => ({ ...row, files: row.files ? JSON.parse(row.files) : null }));
+    }
+
+    // The jobId of the app's latest build, whose twa-manifest getApp returns.
+    async getLatestJobId(domain) {
+        const row = await database.get(
+            "SELECT jobId FROM app_builds WHERE domain = ? ORDER BY created DESC LIMIT 1",
+            [domain]
+        );
+        return row ? row.jobId : null;
+    }
+}
+
+module.exports = new AppVersions();
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const { BUILD_TOOLS_VERSION } = require('@bubblewrap/core/dist/lib/androidSdk/AndroidSdkTools');
+const config = require('../config/config');
+const { sanitizeMessage } = require('../utils/sanitize');
+
+const execFileAsync = util.promisify(execFile);
+
+// Android 11 (API 30) refuses to install apps targeting it that are signed with the JAR scheme only.
+const V2_REQUIRED_SDK = 30;
+
+function executable(dir, name, windowsExtension = '.exe') {
+    return path.join(dir, process.platform === 'win32' ? `${name}${windowsExtension}` : name);
+}
+
+// "0a1b…" or "0A:1B:…" → "0A:1B:…", the format KeyTool reports.
+function formatFingerprint(fingerprint) {
+    if (!fingerprint) return null;
+    return fingerprint.replace(/:/g, '').toUpperCase().match(/../g).join(':');
+}
+
+function verificationError(message, output) {
+    const details = sanitizeMessage(output.trim().split('\n').slice(0, 5).join(' '), 500);
+    return new Error(details ? `${message} ${details}` : message);
+}
+
+// Reads package, version, SDK levels and permissions from a manifest dump:
+// `aapt2 dump badging` for APKs or `bundletool dump manifest` for AABs.
+function parseBadging(output) {
+    const attribute = (pattern) => (pattern.exec(output) || [])[1] || null;
+    const integer = (value) => (value === null ? null : parseInt(value, 10));
+    return {
+        packageName: attribute(/^package: name='([^']*)'/m),
+        versionCode: integer(attribute(/^package: .*versionCode='(\d+)'/m)),
+        versionName: attribute(/^package: .*versionName='([^']*)'/m),
+        minSdkVersion: integer(attribute(/^(?:sdkVersion|minSdkVersion):'(\d+)'/m)),
+        targetSdkVersion: integer(attribute(/^targetSdkVersion:'(\d+)'/m)),
+        permissions: [...output.matchAll(/^uses-permission: name='([^']*)'/gm)].map((match) => match[1])
+    };
+}
+
+function parseManifestXml(output) {
+    const attribute = (pattern) => (pattern.exec(output) || [])[1] || null;
+    const integer = (value) => (value === null ? null : parseInt(value, 10));
+    return {
+        packageName: attribute(/<manifest[^>]*\spackage="([^"]*)"/),
+        versionCode: integer(attribute(/<manifest[^>]*\sandroid:versionCode="(\d+)"/)),
+        versionName: attribute(/<manifest[^>]*\sandroid:versionName="([^"]*)"/),
+        minSdkVersion: integer(attribute(/<uses-sdk[^>]*\sandroid:minSdkVersion="(\d+)"/)),
+        targetSdkVersion: integer(attribute(/<uses-sdk[^>]*\sandroid:targetSdkVersion="(\d+)"/)),
+        permissions: [...output.matchAll(/<uses-permission[^>]*\sandroid:name="([^"]*)"/g)].map((match) => match[1])
+    };
+}
+
+/**
+ * Checks signed build outputs before they are shipped, and describes them
+ * for QA. APKs must be zipaligned and pass `apksigner verify`; AABs must pass
+ * `jarsigner -verify`. Both must be signed with the expected certificate.
+ */
+class ArtifactVerifier {
+    // Runs a tool; a non-zero exit is returned as { ok: false }, not thrown.
+    async run(command, args, env, signal) {
+        try {
+            const { stdout, stderr } = await execFileAsync(command, args, { env, signal, maxBuffer: 10 * 1024 * 1024 });
+            return { ok: true, output: `${stdout}${stderr}` };
+        } catch (error) {
+            if (signal && signal.aborted) throw signal.reason;
+            if (typeof error.code === 'string') throw error;
+            return { ok: false, output: `${error.stdout || ''}${error.stderr || ''}` };
+        }
+    }
+
+    /**
+     * Verifies an APK and returns its report: manifest metadata, signature
+     * schemes, signing certificate and size. Throws when the APK is not
+     * zipaligned, does not verify, could not be installed on Android 11+
+     * or is signed with another certificate than `expectedFingerprint`.
+     */
+    async verifyApk(apkPath, { androidSdkTools, jdkHelper, expectedFingerprint, signal }) {
+        const buildTools = path.join(androidSdkTools.getAndroidHome(), 'build-tools', BUILD_TOOLS_VERSION);
+        const env = androidSdkTools.getEnv();
+        const name = path.basename(apkPath);
+
+        const alignment = await this.run(executable(buildTools, 'zipalign'), ['-c', '-p', '4', apkPath], env, signal);
+        if (!alignment.ok) {
+            throw verificationError(`${name} is not zipaligned.`, alignment.output);
+        }
+
+        const java = executable(jdkHelper.getJavaBin(), 'java');
+        const apksigner = path.join(buildTools, 'lib', 'apksigner.jar');
+        const signature = await this.run(java, ['-jar', apksigner, 'verify', '--verbose', '--print-certs', apkPath], env, signal);
+        if (!signature.ok) {
+            throw verificationError(`The signature of ${name} does not verify.`, signature.output);
+        }
+        const schemes = [...signature.output.matchAll(/^Verified using (v[\d.]+) scheme[^:]*: true$/gm)].map((match) => match[1]);
+        const sha256 = formatFingerprint((/^Signer #1 certificate SHA-256 digest: ([0-9a-f]+)$/m.exec(signature.output) || [])[1]);
+
+        const badging = await this.run(executable(buildTools, 'aapt2'), ['dump', 'badging', apkPath], env, signal);
+        if (!badging.ok) {
+            throw verificationError(`The manifest of ${name} could not be read.`, badging.output);
+        }
+        const metadata = parseBadging(badging.output);
+
+        if (metadata.targetSdkVersion >= V2_REQUIRED_SDK && !schemes.some((scheme) => scheme !== 'v1')) {
+            throw new Error(`${name} targets API ${metadata.targetSdkVersion} but is only signed with the v1 (JAR) scheme, so Android 11 and later refuse to install it.`);
+        }
+        this.checkFingerprint(name, sha256, expectedFingerprint);
+
+        return {
+            ...metadata,
+            signature: { verified: true, schemes, sha256 },
+            zipaligned: true,
+            size: fs.statSync(apkPath).size
+        };
+    }
+
+    /**
+     * Verifies an AAB and returns its report. The manifest metadata is read
+     * with bundletool, so it is null unless BUNDLETOOL_PATH is configured.
+     */
+    async verifyAab(aabPath, { jdkHelper, expectedFingerprint, signal }) {
+        const env = jdkHelper.getEnv();
+        const name = path.basename(aabPath);
+        const javaBin = jdkHelper.getJavaBin();
+
+        const signature = await this.run(executable(javaBin, 'jarsigner'), ['-verify', aabPath], env, signal);
+        if (!signature.ok || !/jar verified\./.test(signature.output)) {
+            throw verificationError(`The signature of ${name} does not verify.`, signature.output);
+        }
+        const certificate = await this.run(executable(javaBin, 'keytool'), ['-printcert', '-jarfile', aabPath], env, signal);
+        const sha256 = formatFingerprint((/SHA256: ([0-9A-F:]+)/.exec(certificate.output) || [])[1]);
+        this.checkFingerprint(name, sha256, expectedFingerprint);
+
+        let metadata = {
+            packageName: null, versionCode: null, versionName: null, minSdkVersion: null, targetSdkVersion: null, permissions: null
+        };
+        if (config.bundletoolPath) {
+            const manifest = await this.run(
+                executable(javaBin, 'java'),
+                ['-jar', config.bundletoolPath, 'dump', 'manifest', `--bundle=${aabPath}`],
+                env,
+                signal
+            );
+            if (!manifest.ok) {
+                throw verificationError(`The manifest of ${name} could not be read.`, manifest.output);
+            }
+            metadata = parseManifestXml(manifest.output);
+        }
+
+        return {
+            ...metadata,
+            signature: { verified: true, schemes: ['jar'], sha256 },
+            size: fs.statSync(aabPath).size
+        };
+    }
+
+    checkFingerprint(name, sha256, expectedFingerprint) {
+        if (!sha256) {
+            throw new Error(`Could not read the signing certificate of ${name}.`);
+        }
+        if (expectedFingerprint && sha256 !== formatFingerprint(expectedFingerprint)) {
+            throw new Error(`${name} is signed with certificate ${sha256}, expected ${formatFingerprint(expectedFingerprint)}.`);
+        }
+    }
+}
+
+module.exports = new ArtifactVerifier();
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { artifactStorage } = require('./storage');
+
+// Artifact types served by GET /job/:jobId/artifacts/:type. All but
+// "assetlinks" are objects in the artifact storage, named in jobs.files.
+const ARTIFACT_TYPES = ['apk', 'aab', 'universalApk', 'source', 'storeIcon', 'assetlinks'];
+
+// Conversions write their outputs to a directory in here before they are stored.
+const tempDir = path.join(__dirname, '..', '..', 'temp');
+
+// Build outputs of a job: storage, checksums and HMAC-signed download links.
+class Artifacts {
+    get types() {
+        return ARTIFACT_TYPES;
+    }
+
+    get storage() {
+        return artifactStorage;
+    }
+
+    // Creates (and returns) a local directory for the outputs of one build.
+    createStagingDir(name) {
+        const dir = path.join(tempDir, `artifacts-${name}`);
+        fs.mkdirSync(dir, { recursive: true });
+        return dir;
+    }
+
+    // Stores the local file `filePath` as the artifact `filename`.
+    async save(filename, filePath) {
+        await artifactStorage.put(path.basename(filename), filePath);
+    }
+
+    async exists(filename) {
+        return Boolean(await artifactStorage.stat(path.basename(filename)));
+    }
+
+    async open(filename) {
+        return artifactStorage.createReadStream(path.basename(filename));
+    }
+
+    async remove(filename) {
+        await artifactStorage.delete(path.basename(filename));
+    }
+
+    // A short-lived URL to fetch the artifact straight from the object store,
+    // or null when the API serves it itself.
+    async presign(filename) {
+        return artifactStorage.presign(path.basename(filename), { expiresIn: config.s3PresignTtl, filename });
+    }
+
+    // Returns { file, size, sha256 } for a local output file.
+    async describe(filePath) {
+        const hash = crypto.createHash('sha256');
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(filePath)
+                .on('data', (chunk) => hash.update(chunk))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+        return { file: path.basename(filePath), size: fs.statSync(filePath).size, sha256: hash.digest('hex') };
+    }
+
+    // Links are signed with DOWNLOAD_URL_SECRET, or a key derived from KEYSTORE_MASTER_KEY.
+    signingKey() {
+        return config.downloadUrlSecret
+            || crypto.createHash('sha256').update(`download-links:${config.keystoreMasterKey}`).digest();
+    }
+
+    sign(jobId, type, expires) {
+        return crypto.createHmac('sha256', this.signingKey()).update(`${jobId}:${type}:${expires}`).digest('base64url');
+    }
+
+    // Whether a signature from a download link is valid and not expired.
+    verify(jobId, type, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+            return false;
+        }
+        const expected = Buffer.from(this.sign(jobId, type, expiresAt));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Builds signed download links for a job's artifacts, valid for
+     * DOWNLOAD_URL_TTL seconds. `baseUrl` is the public origin of the API.
+     */
+    buildLinks(job, files, baseUrl) {
+        const expires = Math.floor(Date.now() / 1000) + config.downloadUrlTtl;
+        const links = {};
+        const available = ARTIFACT_TYPES.filter((type) => (type === 'assetlinks' ? job.assetlinks : files && files[type]));
+        for (const type of available) {
+            const query = new URLSearchParams({ expires: String(expires), signature: this.sign(job.jobId, type, expires) });
+            links[type] = `${baseUrl}/job/${encodeURIComponent(job.jobId)}/artifacts/${type}?${query}`;
+        }
+        return { expires: expires * 1000, links };
+    }
+}
+
+module.exports = new Artifacts();
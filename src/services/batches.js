@@ -0,0 +1,110 @@
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const jobQueue = require('./jobQueue');
+const artifacts = require('./artifacts');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// A batch is a group of conversion jobs submitted in one request. The jobs
+// are ordinary queue entries tagged with the batch ID, so they run under
+// the same concurrency limit as single conversions.
+class Batches {
+    // Creates a batch with one pending job per payload, in order.
+    // `client` ({ ip, userAgent }) is recorded on every job. With `limits`
+    // (see jobQueue.enqueueAll) the jobs are queued only if they all fit the
+    // API key's quota; resolves to null when they do not.
+    async create(apiKeyId, payloads, client = {}, limits = null) {
+        const id = uuidv4();
+        const created = Date.now();
+        const jobs = payloads.map((payload) => ({ jobId: uuidv4(), payload }));
+        if (!(await jobQueue.enqueueAll(jobs, { apiKeyId, batchId: id, client, limits, created }))) {
+            return null;
+        }
+        await database.run(
+            "INSERT INTO batches (id, apiKeyId, size, created) VALUES (?, ?, ?, ?)",
+            [id, apiKeyId, payloads.length, created]
+        );
+        return { id, created, jobIds: jobs.map((job) => job.jobId) };
+    }
+
+    // Returns the batch if it belongs to the given API key, or null.
+    async getOwned(id, apiKeyId) {
+        return database.get("SELECT * FROM batches WHERE id = ? AND apiKeyId = ?", [id, apiKeyId]);
+    }
+
+    async get(id) {
+        return database.get("SELECT * FROM batches WHERE id = ?", [id]);
+    }
+
+    // The batch's jobs in submission order, with their stored JSON fields parsed.
+    async listJobs(id) {
+        const rows = await database.all(
+            `SELECT jobId, status, stage, payload, files, artifacts, assetlinks, assetlinksOrigins, error, failedStage, created, finished
+               FROM jobs WHERE batchId = ? ORDER BY created, rowid`,
+            [id]
+        );
+        return rows.map(({ payload, files, artifacts: artifactInfo, assetlinks, assetlinksOrigins, ...job }) => ({
+            ...job,
+            assetlinksOrigins: assetlinksOrigins ? JSON.parse(assetlinksOrigins) : null,
+            url: JSON.parse(payload || '{}').url,
+            files: files ? JSON.parse(files) : null,
+            artifacts: artifactInfo ? JSON.parse(artifactInfo) : null,
+            hasAssetlinks: Boolean(assetlinks)
+        }));
+    }
+
+    // Counts the jobs per status; `finished` is true once none is left to run.
+    summarize(jobs) {
+        const counts = Object.fromEntries(jobQueue.statuses.map((status) => [status, 0]));
+        jobs.forEach((job) => counts[job.status]++);
+        return {
+            total: jobs.length,
+            ...counts,
+            finished: jobs.every((job) => FINISHED_STATUSES.includes(job.status))
+        };
+    }
+
+    /**
+     * Streams a zip of the batch's artifacts to `output`: one folder per
+     * completed job (named after its position and domain) with its packages
+     * and assetlinks.json, plus batch.json describing every job.
+     */
+    async writeZip(id, output) {
+        const jobs = await this.listJobs(id);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const done = new Promise((resolve, reject) => {
+            archive.on('error', reject);
+            output.on('close', resolve);
+            output.on('finish', resolve);
+        });
+        archive.pipe(output);
+
+        const summary = [];
+        for (const [index, job] of jobs.entries()) {
+            const folder = `${String(index + 1).padStart(3, '0')}-${new URL(job.url).hostname}`;
+            const entry = { jobId: job.jobId, url: job.url, status: job.status, error: job.error, folder: null, files: {} };
+            summary.push(entry);
+            if (job.status !== 'completed') continue;
+
+            entry.folder = folder;
+            for (const [type, filename] of Object.entries(job.files || {})) {
+                if (!(await artifacts.exists(filename))) continue;
+                // APKs, AABs and PNGs are already compressed.
+                archive.append(await artifacts.open(filename), { name: `${folder}/${filename}`, store: true });
+                entry.files[type] = (job.artifacts && job.artifacts[type]) || { file: filename };
+            }
+            if (job.hasAssetlinks) {
+                const { assetlinks } = await jobQueue.getJob(job.jobId);
+                archive.append(assetlinks, { name: `${folder}/assetlinks.json` });
+                entry.assetlinksOrigins = job.assetlinksOrigins;
+            }
+        }
+        archive.append(JSON.stringify({ batchId: id, jobs: summary }, null, 2), { name: 'batch.json' });
+
+        await archive.finalize();
+        await done;
+    }
+}
+
+module.exports = new Batches();
@@ -0,0 +1,16 @@
+const config = require('../config/config');
+const { Config } = require('@bubblewrap/core');
+
+// Builds the Bubblewrap Config from the environment, defaulting JDK_HOME to config.jdkPath.
+function createBubblewrapConfig() {
+    if (!process.env.JDK_HOME && config.jdkPath) {
+        process.env.JDK_HOME = config.jdkPath;
+        console.log(`Set process.env.JDK_HOME to ${process.env.JDK_HOME}`);
+    }
+    return new Config(
+        process.env.JDK_HOME,
+        process.env.ANDROID_HOME || config.androidSdkPath
+    );
+}
+
+module.exports = { createBubblewrapConfig };
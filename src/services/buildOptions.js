@@ -0,0 +1,44 @@
+const config = require('../config/config');
+const { validateObject } = require('../utils/validate');
+
+const OUTPUT_TYPES = ['apk', 'aab', 'source'];
+const VARIANTS = ['release', 'debug'];
+
+const schema = {
+    outputs: {
+        type: 'array',
+        maxItems: OUTPUT_TYPES.length,
+        items: { type: 'string', enum: OUTPUT_TYPES },
+        check: (outputs) => {
+            if (outputs.length === 0) return 'Must list at least one output.';
+            if (new Set(outputs).size !== outputs.length) return 'Must not list an output twice.';
+            return null;
+        }
+    },
+    variant: { type: 'string', enum: VARIANTS },
+    universalApk: {
+        type: 'boolean',
+        check: (universalApk) => (universalApk && !config.bundletoolPath ? 'Universal APKs require BUNDLETOOL_PATH to be configured.' : null)
+    }
+};
+
+// Which packages a /convert job builds: `outputs` (apk, aab and/or the
+// project source zip; with "source" alone the job skips Gradle), the
+// Gradle `variant` and whether to derive a universal APK from the AAB.
+class BuildOptions {
+    // Validates the build options of a /convert body; returns field errors.
+    validate({ outputs, variant, universalApk }) {
+        return validateObject({ outputs, variant, universalApk }, schema, '');
+    }
+
+    // Returns the options of a job with defaults applied: APK and AAB, release variant.
+    resolve(job) {
+        return {
+            outputs: job.outputs || ['apk', 'aab'],
+            variant: job.variant || 'release',
+            universalApk: Boolean(job.universalApk)
+        };
+    }
+}
+
+module.exports = new BuildOptions();
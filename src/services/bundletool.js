@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const { util: bubblewrapUtil } = require('@bubblewrap/core');
+const config = require('../config/config');
+const { sanitizeMessage } = require('../utils/sanitize');
+
+const execFileAsync = util.promisify(execFile);
+
+// Runs bundletool (the jar at BUNDLETOOL_PATH) with the job's JDK.
+class Bundletool {
+    /**
+     * Builds the universal APK of a signed AAB, i.e. the single APK Play would
+     * serve to any device, signed with `keyOptions`, and writes it to `outputPath`.
+     */
+    async buildUniversalApk(jdkHelper, aabPath, outputPath, keyOptions, log, signal) {
+        if (!config.bundletoolPath) {
+            throw new Error('BUNDLETOOL_PATH is not configured.');
+        }
+        const workDir = `${outputPath}.d`;
+        const apksPath = path.join(workDir, 'universal.apks');
+        fs.mkdirSync(workDir, { recursive: true });
+
+        const java = path.join(jdkHelper.getJavaBin(), process.platform === 'win32' ? 'java.exe' : 'java');
+        log.info(`Running bundletool build-apks --mode=universal for ${path.basename(aabPath)}...`);
+        try {
+            await execFileAsync(java, [
+                '-jar', config.bundletoolPath,
+                'build-apks',
+                '--mode=universal',
+                `--bundle=${aabPath}`,
+                `--output=${apksPath}`,
+                '--overwrite',
+                `--ks=${keyOptions.path}`,
+                `--ks-key-alias=${keyOptions.alias}`,
+                `--ks-pass=pass:${keyOptions.password}`,
+                `--key-pass=pass:${keyOptions.keypassword}`
+            ], { env: jdkHelper.getEnv(), signal, maxBuffer: 10 * 1024 * 1024 });
+        } catch (error) {
+            if (signal && signal.aborted) throw signal.reason;
+            // The command line holds the keystore passwords; only report bundletool's own output.
+            throw new Error(`bundletool failed: ${sanitizeMessage((error.stderr || error.stdout || '').trim() || `exit code ${error.code}`)}`);
+        }
+
+        await bubblewrapUtil.unzipFile(apksPath, workDir, true);
+        fs.renameSync(path.join(workDir, 'universal.apk'), outputPath);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = new Bundletool();
@@ -0,0 +1,511 @@
+const fs = require('fs');
+const path = require('path');
+const jobQueue = require('./jobQueue');
+const twaOptions = require('./twaOptions');
+const buildOptions = require('./buildOptions');
+const bundletool = require('./bundletool');
+const projectExport = require('./projectExport');
+const appVersions = require('./appVersions');
+const projectCache = require('./projectCache');
+const keystores = require('./keystores');
+const artifacts = require('./artifacts');
+const artifactVerifier = require('./artifactVerifier');
+const manifestValidator = require('./manifestValidator');
+const manifestDiscovery = require('./manifestDiscovery');
+const manifestProcessor = require('./manifestProcessor');
+const iconGenerator = require('./iconGenerator');
+const { robustFetch, assertPublicUrl } = require('./fetch');
+const { LoggedGradleWrapper } = require('./loggedGradleWrapper');
+const { LocalIconTwaGenerator, LOCAL_ICON_URL } = require('./localIconTwaGenerator');
+const { createBubblewrapConfig } = require('./bubblewrapConfig');
+const { generatePassword } = require('../utils/secrets');
+const {
+    TwaManifest,
+    AndroidSdkTools,
+    JdkHelper,
+    JarSigner,
+    KeyTool,
+    DigitalAssetLinks,
+    util: bubblewrapUtil
+} = require('@bubblewrap/core');
+
+async function downloadIcon(iconUrl, destination, signal) {
+    const response = await robustFetch(iconUrl, { accept: 'image', signal });
+    fs.writeFileSync(destination, Buffer.from(await response.arrayBuffer()));
+    return destination;
+}
+
+// Picks the images the Android icons are generated from: the uploaded icon,
+// or else the largest "any" icon of the manifest, plus its maskable icon if it has one.
+async function resolveIconSources(job, manifest, projectDir, log) {
+    if (job.iconPath) {
+        if (!fs.existsSync(job.iconPath)) {
+            throw new Error('The uploaded icon is no longer available.');
+        }
+        log.info(`Using the uploaded icon as the icon source.`);
+        return { source: job.iconPath };
+    }
+
+    const icon = bubblewrapUtil.findSuitableIcon(manifest.icons, 'any');
+    if (!icon) {
+        throw new Error('The manifest has no icon to generate the app icons from.');
+    }
+    const iconUrl = new URL(icon.src, job.manifestUrl).toString();
+    log.info(`Downloading icon source from ${iconUrl}...`);
+    const sources = { source: await downloadIcon(iconUrl, path.join(projectDir, 'icon-source'), log.signal) };
+
+    const maskableIcon = bubblewrapUtil.findSuitableIcon(manifest.icons, 'maskable');
+    if (maskableIcon) {
+        const maskableIconUrl = new URL(maskableIcon.src, job.manifestUrl).toString();
+        log.info(`Downloading maskable icon from ${maskableIconUrl}...`);
+        sources.maskableSource = await downloadIcon(maskableIconUrl, path.join(projectDir, 'icon-maskable-source'), log.signal);
+    }
+    return sources;
+}
+
+/**
+ * Converts a PWA into signed Android packages: downloads and validates the
+ * manifest, generates (or reuses) the domain's cached Gradle project, builds
+ * and signs the requested outputs and stores them in the artifact storage.
+ * `log` is the job's JobLogger; its signal aborts the build. The caller must
+ * hold the domain's project lock. Resolves to { files, artifacts }.
+ */
+async function processConversionJob(job, log) {
+    // Staging and keystore directories of this build, removed when it ends.
+    const workDirs = [];
+    try {
+        return await runConversion(job, log, workDirs);
+    } finally {
+        workDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+    }
+}
+
+async function runConversion(job, log, workDirs) {
+    const timestamp = Date.now();
+    const urlHash = Buffer.from(job.url).toString('base64').replace(/[\/\+]/g, '_');
+
+    log.info(`Starting conversion job at timestamp ${timestamp}.`);
+
+    // Extract the domain name from the job URL (used for versioning and as the key alias).
+    const domain = new URL(job.url).hostname;
+    log.info(`Extracted domain: ${domain}`);
+
+    // Projects are cached per domain (see services/projectCache.js); the caller holds the domain's lock.
+    const projectDir = projectCache.getProjectDir(domain);
+    if (!fs.existsSync(projectDir)) {
+        fs.mkdirSync(projectDir, { recursive: true });
+        log.info(`Created project directory at ${projectDir}.`);
+    } else {
+        log.info(`Project directory: ${projectDir}`);
+    }
+
+    // Download the manifest, discovering it from the page when no manifestUrl was given.
+    await log.setStage('manifest');
+    if (!job.manifestUrl) {
+        log.info(`No manifestUrl given; looking for <link rel="manifest"> on ${job.url}...`);
+        job.manifestUrl = new URL(await manifestDiscovery.discover(job.url));
+        log.info(`Discovered manifest at ${job.manifestUrl.toString()}.`);
+    }
+    log.info(`Downloading manifest from ${job.manifestUrl.toString()}...`);
+    const response = await robustFetch(job.manifestUrl.toString(), { accept: 'json', signal: log.signal });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch manifest: HTTP ${response.status}`);
+    }
+    // Redirects may have moved the manifest; relative URLs resolve against its final location.
+    if (response.url) job.manifestUrl = new URL(response.url);
+    const manifest = manifestProcessor.resolveUrls(await response.json(), job.manifestUrl);
+    log.info(`Manifest downloaded.`);
+
+    // Lint the manifest and stop early on problems that would break the build.
+    const validation = manifestValidator.validate(manifest, job.manifestUrl, job.url, { customIcon: Boolean(job.iconPath) });
+    await jobQueue.setFields(job.jobId, {
+        validation: JSON.stringify({ valid: validation.valid, errors: validation.errors, warnings: validation.warnings })
+    });
+    validation.warnings.forEach((warning) => log.warn(`Manifest warning (${warning.field}): ${warning.message}`));
+    if (!validation.valid) {
+        validation.errors.forEach((error) => log.error(`Manifest error (${error.field}): ${error.message}`));
+        throw new Error(`Manifest validation failed: ${validation.errors.map((error) => error.message).join(' ')}`);
+    }
+
+    // Save the manifest to a file.
+    const manifestPath = path.join(projectDir, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    log.info(`Manifest saved to ${manifestPath}.`);
+
+    // Create a TWA manifest using the downloaded manifest.
+    log.info(`Creating TWA manifest from downloaded manifest...`);
+    let twaManifest = TwaManifest.fromWebManifestJson(job.manifestUrl, manifest);
+    if (job.twa) {
+        log.info(`Applying TWA customization options...`);
+    }
+    twaManifest = twaOptions.apply(twaManifest, job.twa, job.manifestUrl, { customIcon: Boolean(job.iconPath) });
+
+    // Bump the versionCode past the last build of this app, unless it was set explicitly.
+    const override = job.twa ? job.twa.appVersionCode : undefined;
+    twaManifest.appVersionCode = await appVersions.reserveVersion(
+        domain, job.apiKeyId || null, twaManifest.packageId, override, twaManifest.appVersionCode
+    );
+    if (!(job.twa && job.twa.appVersionName)) {
+        twaManifest.appVersionName = String(twaManifest.appVersionCode);
+    }
+    log.info(`TWA manifest created for package ${twaManifest.packageId} (versionCode ${twaManifest.appVersionCode}, versionName ${twaManifest.appVersionName}).`);
+
+    await log.setStage('icons');
+    const iconSources = await resolveIconSources(job, manifest, projectDir, log);
+
+    // Bubblewrap downloads shortcut icons itself, outside our fetch module, so vet their hosts first.
+    for (const shortcut of twaManifest.shortcuts) {
+        for (const iconUrl of [shortcut.chosenIconUrl, shortcut.chosenMaskableIconUrl, shortcut.chosenMonochromeIconUrl]) {
+            if (iconUrl) await assertPublicUrl(iconUrl);
+        }
+    }
+
+    // Reuse the cached project unless its inputs changed; only the version is patched in.
+    const twaManifestJson = twaManifest.toJson();
+    const fingerprint = projectCache.fingerprint(twaManifestJson, [iconSources.source, iconSources.maskableSource]);
+    const cached = projectCache.readState(domain);
+    await log.setStage('generate');
+    if (cached && cached.fingerprint === fingerprint) {
+        log.info(`Manifest and icons are unchanged since ${new Date(cached.generated).toISOString()}; reusing the cached project.`);
+        projectCache.setVersion(domain, twaManifest.appVersionCode, twaManifest.appVersionName);
+    } else {
+        projectCache.clearState(domain);
+        log.info(`Initializing TWA generator...`);
+        let generator;
+        try {
+            generator = new LocalIconTwaGenerator({ webManifest: manifest });
+        } catch (err) {
+            log.error(`Error initializing TWA generator:`, err);
+            throw err;
+        }
+        if (cached) {
+            // Bubblewrap's update path: drop the generated sources, keep Gradle's caches.
+            log.info(`Manifest or icons changed; regenerating the cached project.`);
+            await generator.removeTwaProject(projectDir);
+        }
+        // Launcher, adaptive, notification and splash images are generated locally
+        // from a single source image, so the generator is given a copy of the
+        // manifest that tells Bubblewrap not to download them. twa-manifest.json
+        // keeps the real icon URLs, for `bubblewrap build` and `bubblewrap update`.
+        const generatorManifest = new TwaManifest({
+            ...twaManifestJson,
+            iconUrl: LOCAL_ICON_URL,
+            maskableIconUrl: undefined,
+            monochromeIconUrl: undefined
+        });
+        await generator.createTwaProject(projectDir, generatorManifest, log.newLog('generator'));
+        log.info(`TWA project created.`);
+
+        log.info(`Generating icons and splash images...`);
+        await iconGenerator.generateAndroidAssets(projectDir, {
+            ...iconSources,
+            backgroundColor: twaManifest.backgroundColor.hex(),
+            notifications: twaManifest.enableNotifications
+        });
+        log.info(`Icons and splash images generated.`);
+        projectCache.writeState(domain, fingerprint);
+    }
+    projectCache.clearBuildOutputs(domain);
+
+    // Write the TWA manifest file to the project directory.
+    const twaManifestPath = path.join(projectDir, 'twa-manifest.json');
+    fs.writeFileSync(twaManifestPath, JSON.stringify(twaManifestJson, null, 2));
+    log.info(`TWA manifest saved to ${twaManifestPath}.`);
+
+    // Keep the twa-manifest for the version history.
+    const builtTwaManifest = JSON.parse(fs.readFileSync(path.join(projectDir, 'twa-manifest.json'), 'utf8'));
+
+    const { outputs, variant, universalApk } = buildOptions.resolve(job);
+    const outputName = `${urlHash}_${timestamp}`;
+    // Outputs are collected in a staging directory and stored at the end.
+    const stagingDir = artifacts.createStagingDir(outputName);
+    workDirs.push(stagingDir);
+    log.info(`Staging outputs in ${stagingDir}.`);
+    const files = {};
+
+    // Export the project source before Gradle adds its build outputs.
+    if (outputs.includes('source')) {
+        await log.setStage('source');
+        const outputSourcePath = path.join(stagingDir, `${outputName}_source.zip`);
+        await projectExport.writeZip(projectDir, outputSourcePath, builtTwaManifest.packageId);
+        log.info(`Project source exported to ${outputSourcePath}.`);
+        files.source = path.basename(outputSourcePath);
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // Build the project using Gradle. Only the requested outputs are built;
+    // a universal APK is derived from the AAB, so it needs the AAB too.
+    const buildApk = outputs.includes('apk');
+    const buildAab = outputs.includes('aab') || universalApk;
+    if (!buildApk && !buildAab) {
+        log.info(`Generate-only job: no packages requested, skipping Gradle.`);
+        return finishConversion(job, { domain, projectDir, stagingDir, outputName, files, twaManifest: builtTwaManifest }, log);
+    }
+    const variantName = variant === 'debug' ? 'Debug' : 'Release';
+    log.info(`Building ${variant} ${[buildApk && 'APK', buildAab && 'AAB'].filter(Boolean).join(' and ')}${universalApk ? ' (with universal APK)' : ''}.`);
+
+    await log.setStage('gradle:setup');
+    const configInstance = createBubblewrapConfig();
+
+    log.info(`Initializing JdkHelper...`);
+    const jdkHelper = new JdkHelper(process, configInstance);
+    log.info(`Creating AndroidSdkTools...`);
+    const androidSdkTools = await AndroidSdkTools.create(process, configInstance, jdkHelper, log.newLog('android-sdk'));
+    log.info(`Initializing GradleWrapper...`);
+    const gradle = new LoggedGradleWrapper(process, androidSdkTools, projectDir, log.newLog('gradle'), log.signal);
+
+    if (buildApk) {
+        await log.setStage(`gradle:assemble${variantName}`);
+        log.info(`Executing Gradle task 'assemble${variantName}' for APK...`);
+        await gradle.executeGradleCommand([`assemble${variantName}`, '--stacktrace']);
+        log.info(`APK build completed.`);
+    }
+
+    if (buildAab) {
+        await log.setStage(`gradle:bundle${variantName}`);
+        log.info(`Executing Gradle task 'bundle${variantName}' for AAB...`);
+        await gradle.executeGradleCommand([`bundle${variantName}`, '--stacktrace']);
+        log.info(`AAB build completed.`);
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // SIGNING THE BUILD ARTIFACTS
+    // ──────────────────────────────────────────────────────────────
+    await log.setStage('signing');
+
+    // Keep this Log non-verbose: KeyTool prints the key options, including passwords, at debug level.
+    const keyTool = new KeyTool(jdkHelper, log.newLog('keytool', false));
+    const apkDir = path.join(projectDir, 'app', 'build', 'outputs', 'apk', variant);
+    const aabDir = path.join(projectDir, 'app', 'build', 'outputs', 'bundle', variant);
+
+    let keyOptions = null;
+    let signedApkPathTemp = null;
+    let signedAabPathTemp = null;
+
+    if (variant === 'debug') {
+        // Gradle signs debug builds with the machine's debug key; the domain's keystore is not touched.
+        keyOptions = keystores.getDebugKeyOptions();
+        signedApkPathTemp = buildApk ? path.join(apkDir, 'app-debug.apk') : null;
+        signedAabPathTemp = buildAab ? path.join(aabDir, 'app-debug.aab') : null;
+        for (const output of [signedApkPathTemp, signedAabPathTemp].filter(Boolean)) {
+            if (!fs.existsSync(output)) {
+                throw new Error(`Debug build output not found at expected location: ${output}`);
+            }
+        }
+        log.info(`Debug build outputs are signed with the debug key.`);
+    } else {
+        // The keystore is copied out of the keystore storage for the signing tools.
+        const keystoreDir = keystores.createWorkDir();
+        workDirs.push(keystoreDir);
+        const keystorePath = await keystores.checkout(domain, keystoreDir);
+
+        // If the keystore exists, try to retrieve its details from the keystores table.
+        if (keystorePath) {
+            const storedOptions = await keystores.getKeyOptions(domain);
+            keyOptions = storedOptions && { ...storedOptions, path: keystorePath };
+        }
+
+        if (!keyOptions) {
+            // Generate new key options if none exist.
+            const generatedPassword = generatePassword();
+
+            keyOptions = {
+                path: path.join(keystoreDir, keystores.getKeystoreName(domain)),
+                alias: domain,
+                password: generatedPassword,
+                keypassword: generatedPassword,
+                fullName: domain,
+                organizationalUnit: "Development",
+                organization: "DefaultOrg",
+                country: "US"
+            };
+
+            log.info(`Creating signing key for ${domain}...`);
+            await keyTool.createSigningKey(keyOptions, true);
+            await keystores.checkin(domain, keyOptions.path);
+            log.info(`Signing key created successfully.`);
+
+            // Save the new key options in the keystores table. Without them the key cannot be reused,
+            // so a failure here fails the job.
+            await keystores.saveKeyOptions(domain, job.jobId, keyOptions);
+            log.info(`Keystore info saved in database.`);
+        } else {
+            log.info(`Found existing keystore for ${domain} in database.`);
+        }
+
+        // Create a JarSigner instance.
+        const jarSigner = new JarSigner(jdkHelper);
+
+        // Sign the APK. It is zipaligned first and signed with apksigner, since
+        // Android 11 and later refuse APKs signed with the JAR scheme only.
+        if (buildApk) {
+            const unsignedApkPath = path.join(apkDir, 'app-release-unsigned.apk');
+            if (!fs.existsSync(unsignedApkPath)) {
+                throw new Error(`Unsigned APK file not found at expected location: ${unsignedApkPath}`);
+            }
+            log.info(`Found unsigned APK file at ${unsignedApkPath}.`);
+            const alignedApkPath = path.join(apkDir, 'app-release-aligned.apk');
+            log.info(`Zipaligning APK...`);
+            await androidSdkTools.zipalign(unsignedApkPath, alignedApkPath);
+            signedApkPathTemp = path.join(apkDir, 'app-release-signed.apk');
+            log.info(`Signing APK using apksigner...`);
+            await androidSdkTools.apksigner(
+                keyOptions.path,
+                keyOptions.password,
+                keyOptions.alias,
+                keyOptions.keypassword,
+                alignedApkPath,
+                signedApkPathTemp
+            );
+            log.info(`APK signed successfully. Signed APK located at ${signedApkPathTemp}.`);
+        }
+
+        // Sign the AAB.
+        if (buildAab) {
+            const unsignedAabPath = path.join(aabDir, 'app-release.aab');
+            if (!fs.existsSync(unsignedAabPath)) {
+                throw new Error(`Unsigned AAB file not found at expected location: ${unsignedAabPath}`);
+            }
+            log.info(`Found unsigned AAB file at ${unsignedAabPath}.`);
+            signedAabPathTemp = path.join(aabDir, 'app-release-signed.aab');
+            log.info(`Signing AAB using JarSigner...`);
+            await jarSigner.sign(
+                { path: keyOptions.path, alias: keyOptions.alias },
+                keyOptions.password,
+                keyOptions.keypassword,
+                unsignedAabPath,
+                signedAabPathTemp
+            );
+            log.info(`AAB signed successfully. Signed AAB located at ${signedAabPathTemp}.`);
+        }
+    }
+
+    // Let bundletool generate the universal APK Play would serve, signed with the same key.
+    let universalApkPathTemp = null;
+    if (universalApk) {
+        universalApkPathTemp = path.join(aabDir, `app-${variant}-universal.apk`);
+        await bundletool.buildUniversalApk(jdkHelper, signedAabPathTemp, universalApkPathTemp, keyOptions, log, log.signal);
+        log.info(`Universal APK generated at ${universalApkPathTemp}.`);
+    }
+
+    // ──────────────────────────────────────────────────────────────
+    // DIGITAL ASSET LINKS
+    // ──────────────────────────────────────────────────────────────
+
+    // Read the signing certificate fingerprint and generate the assetlinks.json the site must serve.
+    // Debug builds get links for the debug key only, and do not touch the domain's stored fingerprints.
+    const keyInfo = await keyTool.keyInfo(keyOptions);
+    const sha256Fingerprint = keyInfo.fingerprints.get('SHA256');
+    if (!sha256Fingerprint) {
+        throw new Error(`Could not read the SHA-256 fingerprint of the signing key for ${domain}.`);
+    }
+    let extraFingerprints = [];
+    if (variant !== 'debug') {
+        await keystores.saveFingerprints(domain, keyInfo);
+        ({ extraFingerprints } = await keystores.getFingerprints(domain));
+    }
+    const assetlinks = DigitalAssetLinks.generateAssetLinks(
+        builtTwaManifest.packageId,
+        sha256Fingerprint,
+        ...extraFingerprints.map((fingerprint) => fingerprint.value)
+    );
+    // The same file must be served by the app's origin and every additional trusted origin.
+    const assetlinksOrigins = [builtTwaManifest.host, ...(builtTwaManifest.additionalTrustedOrigins || [])]
+        .map((host) => ({ origin: `https://${host}`, url: `https://${host}/.well-known/assetlinks.json` }));
+    await jobQueue.setFields(job.jobId, { assetlinks, assetlinksOrigins: JSON.stringify(assetlinksOrigins) });
+    log.info(`Generated assetlinks.json for ${builtTwaManifest.packageId} (SHA-256 ${sha256Fingerprint}).`);
+    assetlinksOrigins.forEach(({ url }) => log.info(`Serve it at ${url}.`));
+
+    // ──────────────────────────────────────────────────────────────
+    // VERIFICATION
+    // ──────────────────────────────────────────────────────────────
+
+    // Check the signatures of the packages about to be shipped and describe them for QA.
+    await log.setStage('verify');
+    const verifyOptions = { androidSdkTools, jdkHelper, expectedFingerprint: sha256Fingerprint, signal: log.signal };
+    const report = {};
+    if (buildApk) {
+        report.apk = await artifactVerifier.verifyApk(signedApkPathTemp, verifyOptions);
+    }
+    if (outputs.includes('aab')) {
+        report.aab = await artifactVerifier.verifyAab(signedAabPathTemp, verifyOptions);
+    }
+    if (universalApk) {
+        report.universalApk = await artifactVerifier.verifyApk(universalApkPathTemp, verifyOptions);
+    }
+    for (const [type, entry] of Object.entries(report)) {
+        log.info(`${type}: ${entry.packageName || 'package name unknown'} ${entry.versionName || ''} (versionCode ${entry.versionCode}), ` +
+            `minSdk ${entry.minSdkVersion}, targetSdk ${entry.targetSdkVersion}, signed with ${entry.signature.schemes.join('+')} by ${entry.signature.sha256}.`);
+    }
+    await jobQueue.setFields(job.jobId, { report: JSON.stringify(report) });
+
+    // ──────────────────────────────────────────────────────────────
+    // COPY OUTPUT FILES
+    await log.setStage('copy');
+    const suffix = variant === 'debug' ? '_debug' : '';
+
+    if (buildApk) {
+        const outputApkPath = path.join(stagingDir, `${outputName}${suffix}.apk`);
+        log.info(`Copying signed APK from ${signedApkPathTemp} to ${outputApkPath}...`);
+        fs.copyFileSync(signedApkPathTemp, outputApkPath);
+        log.info(`Signed APK copied successfully.`);
+        files.apk = path.basename(outputApkPath);
+    }
+
+    if (outputs.includes('aab')) {
+        const outputAabPath = path.join(stagingDir, `${outputName}${suffix}.aab`);
+        log.info(`Copying signed AAB from ${signedAabPathTemp} to ${outputAabPath}...`);
+        fs.copyFileSync(signedAabPathTemp, outputAabPath);
+        log.info(`Signed AAB copied successfully.`);
+        files.aab = path.basename(outputAabPath);
+    }
+
+    if (universalApk) {
+        const outputUniversalApkPath = path.join(stagingDir, `${outputName}${suffix}_universal.apk`);
+        fs.copyFileSync(universalApkPathTemp, outputUniversalApkPath);
+        log.info(`Universal APK copied to ${outputUniversalApkPath}.`);
+        files.universalApk = path.basename(outputUniversalApkPath);
+    }
+
+    return finishConversion(job, { domain, projectDir, stagingDir, outputName, files, twaManifest: builtTwaManifest }, log);
+}
+
+// Last step of every conversion, including generate-only ones: ships the
+// store icon, checksums the staged output files, stores them and records
+// the build.
+async function finishConversion(job, { domain, projectDir, stagingDir, outputName, files, twaManifest }, log) {
+    // Ship the 512px Play Store icon alongside the packages.
+    const storeIconPath = path.join(projectDir, 'store_icon.png');
+    if (fs.existsSync(storeIconPath)) {
+        const outputIconPath = path.join(stagingDir, `${outputName}_store_icon.png`);
+        fs.copyFileSync(storeIconPath, outputIconPath);
+        files.storeIcon = path.basename(outputIconPath);
+    }
+
+    // Record sizes and SHA-256 checksums so clients can verify their downloads.
+    const artifactInfo = {};
+    for (const [type, filename] of Object.entries(files)) {
+        artifactInfo[type] = await artifacts.describe(path.join(stagingDir, filename));
+        log.info(`${filename}: ${artifactInfo[type].size} bytes, SHA-256 ${artifactInfo[type].sha256}.`);
+    }
+
+    await log.setStage('store');
+    log.info(`Storing ${Object.keys(files).length} file(s) in ${artifacts.storage.description}...`);
+    for (const filename of Object.values(files)) {
+        await artifacts.save(filename, path.join(stagingDir, filename));
+    }
+    log.info(`Files stored.`);
+
+    // Record the build in the app's version history.
+    try {
+        await appVersions.recordBuild({ domain, jobId: job.jobId, twaManifest, files });
+    } catch (err) {
+        log.error(`Error recording app version:`, err);
+    }
+
+    log.info(`Conversion job completed successfully.`);
+    return { files, artifacts: artifactInfo };
+}
+
+
+module.exports = { processConversionJob };
@@ -0,0 +1,132 @@
+const { TwaManifest } = require('@bubblewrap/core');
+const twaOptions = require('./twaOptions');
+const buildOptions = require('./buildOptions');
+const manifestDiscovery = require('./manifestDiscovery');
+const manifestProcessor = require('./manifestProcessor');
+const manifestValidator = require('./manifestValidator');
+const { robustFetch } = require('./fetch');
+const { encryptSecret } = require('../utils/secrets');
+const { sanitizeMessage } = require('../utils/sanitize');
+
+// How many manifests checkBatchManifests downloads at a time.
+const BATCH_MANIFEST_CONCURRENCY = 4;
+
+function isHttpUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Validates the conversion fields shared by POST /convert, each entry of
+// POST /batches and the CLI's --local mode. Returns field errors (prefixed
+// with `prefix`) and the job payload.
+function parseConversionSpec(spec, prefix = '') {
+    const { url, manifestUrl, twa, outputs, variant, universalApk, callbackUrl, callbackSecret } = spec;
+    const errors = [];
+    if (typeof url !== 'string' || url.trim() === '') {
+        errors.push({ field: "url", expectedType: "string" });
+    } else if (!isHttpUrl(url)) {
+        errors.push({ field: "url", expectedType: "http(s) URL" });
+    }
+    if (manifestUrl !== undefined && !isHttpUrl(manifestUrl)) {
+        errors.push({ field: "manifestUrl", expectedType: "http(s) URL" });
+    }
+    errors.push(...twaOptions.validate(twa));
+    errors.push(...buildOptions.validate({ outputs, variant, universalApk }));
+    if (callbackUrl !== undefined && !isHttpUrl(callbackUrl)) {
+        errors.push({ field: "callbackUrl", expectedType: "http(s) URL" });
+    }
+    if (callbackSecret !== undefined && (typeof callbackSecret !== 'string' || callbackSecret === '')) {
+        errors.push({ field: "callbackSecret", expectedType: "string" });
+    }
+
+    return {
+        errors: errors.map((error) => ({ ...error, field: prefix + error.field })),
+        payload: {
+            url,
+            manifestUrl,
+            twa,
+            outputs,
+            variant,
+            universalApk,
+            callbackUrl,
+            callbackSecret: callbackSecret ? encryptSecret(callbackSecret) : undefined
+        }
+    };
+}
+
+// Downloads the web manifest of a payload, discovered from `url` without a
+// manifestUrl. Resolves to { manifestUrl, manifest } with its URLs resolved.
+async function fetchManifest(payload) {
+    let manifestUrl = payload.manifestUrl;
+    if (!manifestUrl) {
+        manifestUrl = await manifestDiscovery.discover(payload.url);
+    }
+    const response = await robustFetch(manifestUrl, { accept: 'json' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    manifestUrl = new URL(response.url || manifestUrl);
+    return { manifestUrl, manifest: manifestProcessor.resolveUrls(await response.json(), manifestUrl) };
+}
+
+/**
+ * Checks a valid conversion payload against the site's web manifest, the
+ * way the build uses it: downloads the manifest (discovered from `url`
+ * without a manifestUrl), creates the TwaManifest, applies the "twa" options
+ * and runs TwaManifest.validate(). Resolves to field errors like
+ * parseConversionSpec's. Manifests the build would reject are left to its
+ * "manifest" stage, which records the validation report on the job.
+ * `manifests` (a Map) shares the downloads between calls.
+ */
+async function checkManifest(payload, { customIcon = false, manifests = new Map() } = {}, prefix = '') {
+    const source = payload.manifestUrl ? `manifest:${payload.manifestUrl}` : `page:${payload.url}`;
+    let manifestUrl;
+    let manifest;
+    try {
+        if (!manifests.has(source)) manifests.set(source, fetchManifest(payload));
+        ({ manifestUrl, manifest } = await manifests.get(source));
+    } catch (error) {
+        return [{
+            field: prefix + (payload.manifestUrl ? 'manifestUrl' : 'url'),
+            expectedType: "http(s) URL",
+            message: `Could not download the web manifest: ${sanitizeMessage(error.message)}`
+        }];
+    }
+    if (!manifestValidator.validate(manifest, manifestUrl, payload.url, { customIcon }).valid) {
+        return [];
+    }
+
+    try {
+        twaOptions.apply(TwaManifest.fromWebManifestJson(manifestUrl, manifest), payload.twa, manifestUrl, { customIcon });
+    } catch (error) {
+        if (!error.field) throw error;
+        return [{ field: prefix + error.field, expectedType: error.expectedType, message: error.message }];
+    }
+    return [];
+}
+
+/**
+ * Runs checkManifest on every payload of a batch, naming fields as
+ * `jobs[<index>].<field>`. Each distinct manifest is downloaded once, and at
+ * most BATCH_MANIFEST_CONCURRENCY at a time, so one request cannot fan out
+ * into dozens of outbound fetches.
+ */
+async function checkBatchManifests(payloads) {
+    const manifests = new Map();
+    const errors = new Array(payloads.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < payloads.length) {
+            const index = next++;
+            errors[index] = await checkManifest(payloads[index], { manifests }, `jobs[${index}].`);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(BATCH_MANIFEST_CONCURRENCY, payloads.length) }, worker));
+    return errors.flat();
+}
+
+module.exports = { isHttpUrl, parseConversionSpec, checkManifest, checkBatchManifests };
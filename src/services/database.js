@@ -0,0 +1,274 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const config = require('../config/config');
+
+const dbPath = path.resolve(__dirname, '..', '..', config.databasePath);
+
+// How long a statement waits for another process's write lock, in ms.
+const BUSY_TIMEOUT = 10000;
+
+class Database {
+    constructor() {
+        this.db = null;
+    }
+
+    // Opens the SQLite database and creates or migrates the tables the service uses.
+    async init() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(dbPath, (err) => {
+                if (err) reject(err);
+                else resolve(db);
+            });
+        });
+        console.log("Connected to SQLite database");
+
+        // The API and the worker processes share the database. WAL lets readers
+        // run alongside a writer, and writers wait for each other's locks.
+        this.db.configure('busyTimeout', BUSY_TIMEOUT);
+        await this.run("PRAGMA journal_mode = WAL");
+
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS jobs (
+               jobId TEXT PRIMARY KEY,
+               status TEXT,
+               created INTEGER,
+               updated INTEGER,
+               files TEXT,
+               error TEXT
+             )`
+        );
+        await this.addColumns('jobs', {
+            payload: 'TEXT',
+            attempts: 'INTEGER DEFAULT 0',
+            started: 'INTEGER',
+            finished: 'INTEGER',
+            assetlinks: 'TEXT',
+            assetlinksOrigins: 'TEXT',
+            apiKeyId: 'TEXT',
+            webhookStatus: 'TEXT',
+            stage: 'TEXT',
+            failedStage: 'TEXT',
+            cancelRequested: 'INTEGER DEFAULT 0',
+            validation: 'TEXT',
+            report: 'TEXT',
+            artifacts: 'TEXT',
+            batchId: 'TEXT',
+            url: 'TEXT',
+            domain: 'TEXT',
+            clientIp: 'TEXT',
+            userAgent: 'TEXT',
+            retryOf: 'TEXT',
+            workerId: 'TEXT',
+            leaseExpires: 'INTEGER'
+        });
+        await this.run("CREATE INDEX IF NOT EXISTS jobs_domain ON jobs (domain)");
+        await this.run("CREATE INDEX IF NOT EXISTS jobs_apiKeyId_created ON jobs (apiKeyId, created)");
+        await this.backfillJobUrls();
+
+        // Groups of jobs submitted together through POST /batches.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS batches (
+               id TEXT PRIMARY KEY,
+               apiKeyId TEXT,
+               size INTEGER,
+               created INTEGER
+             )`
+        );
+        await this.run("CREATE INDEX IF NOT EXISTS jobs_batchId ON jobs (batchId)");
+
+        // Worker processes and their heartbeats.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS workers (
+               id TEXT PRIMARY KEY,
+               hostname TEXT,
+               pid INTEGER,
+               concurrency INTEGER,
+               activeJobs INTEGER,
+               healthy INTEGER,
+               started INTEGER,
+               heartbeat INTEGER
+             )`
+        );
+
+        // Time spent by each job in each stage, for GET /metrics.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS job_stages (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               jobId TEXT,
+               stage TEXT,
+               duration INTEGER,
+               created INTEGER
+             )`
+        );
+
+        // Single row rewritten by the health check to prove the database is writable.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS health_checks (
+               id INTEGER PRIMARY KEY CHECK (id = 1),
+               checked INTEGER
+             )`
+        );
+
+        // One row per webhook delivery attempt.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               jobId TEXT,
+               url TEXT,
+               event TEXT,
+               attempt INTEGER,
+               responseStatus INTEGER,
+               error TEXT,
+               created INTEGER
+             )`
+        );
+
+        // API keys are stored as SHA-256 hashes, with per-key quotas.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS api_keys (
+               id TEXT PRIMARY KEY,
+               name TEXT,
+               keyHash TEXT UNIQUE,
+               prefix TEXT,
+               created INTEGER,
+               revoked INTEGER,
+               lastUsed INTEGER,
+               maxConcurrentJobs INTEGER,
+               maxBuildsPerDay INTEGER
+             )`
+        );
+
+        // Stores signing key options per domain.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS keystores (
+               domain TEXT PRIMARY KEY,
+               jobId TEXT,
+               keystorePath TEXT,
+               password TEXT,
+               keypassword TEXT,
+               fullName TEXT,
+               organizationalUnit TEXT,
+               organization TEXT,
+               country TEXT
+             )`
+        );
+        await this.addColumns('keystores', {
+            alias: 'TEXT',
+            source: 'TEXT',
+            updated: 'INTEGER',
+            sha256Fingerprint: 'TEXT',
+            sha1Fingerprint: 'TEXT',
+            extraFingerprints: 'TEXT'
+        });
+
+        // Tracks the latest version of each app and its build history.
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS apps (
+               domain TEXT PRIMARY KEY,
+               packageId TEXT,
+               lastVersionCode INTEGER,
+               lastVersionName TEXT,
+               twaManifest TEXT,
+               updated INTEGER
+             )`
+        );
+        // The API key an app (and so its keystore) belongs to.
+        await this.addColumns('apps', { apiKeyId: 'TEXT' });
+        await this.backfillAppOwners();
+        await this.run(
+            `CREATE TABLE IF NOT EXISTS app_builds (
+               id INTEGER PRIMARY KEY AUTOINCREMENT,
+               domain TEXT,
+               jobId TEXT,
+               packageId TEXT,
+               versionCode INTEGER,
+               versionName TEXT,
+               files TEXT,
+               created INTEGER
+             )`
+        );
+
+        return this.db;
+    }
+
+    // Jobs queued before the url and domain columns existed only have them in the payload.
+    async backfillJobUrls() {
+        const rows = await this.all("SELECT jobId, payload FROM jobs WHERE url IS NULL AND payload IS NOT NULL");
+        for (const row of rows) {
+            const { url } = JSON.parse(row.payload);
+            let domain = null;
+            try {
+                domain = new URL(url).hostname;
+            } catch (e) {
+                // Left without a domain; the job can still be found by ID.
+            }
+            await this.run("UPDATE jobs SET url = ?, domain = ? WHERE jobId = ?", [url || null, domain, row.jobId]);
+        }
+    }
+
+    // Apps created before they had an owner belong to the API key that
+    // first submitted a job for their domain.
+    async backfillAppOwners() {
+        await this.run(
+            `UPDATE apps SET apiKeyId = (
+               SELECT apiKeyId FROM jobs
+                WHERE jobs.domain = apps.domain AND apiKeyId IS NOT NULL
+                ORDER BY created LIMIT 1
+             ) WHERE apiKeyId IS NULL`
+        );
+    }
+
+    // Adds the given columns to an existing table if they are not there yet.
+    async addColumns(table, columns) {
+        const existing = await this.all(`PRAGMA table_info(${table})`);
+        const names = existing.map((column) => column.name);
+        for (const [name, type] of Object.entries(columns)) {
+            if (names.includes(name)) continue;
+            try {
+                await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+                console.log(`Added column ${table}.${name}`);
+            } catch (err) {
+                // Another process starting at the same time added it first.
+                if (!/duplicate column/i.test(err.message)) throw err;
+            }
+        }
+    }
+
+    async close() {
+        if (!this.db) return;
+        const db = this.db;
+        this.db = null;
+        await new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve())));
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+}
+
+module.exports = new Database();
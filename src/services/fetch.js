@@ -1,17 +1,178 @@
-async function robustFetch(url, options = {}, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const response = await fetch(url, options);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+const dns = require('dns');
+const net = require('net');
+const { fetch, Agent, Response } = require('undici');
+const config = require('../config/config');
+
+// Addresses outbound requests must never reach: loopback, private,
+// link-local, carrier-grade NAT, multicast and reserved ranges.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// Content types accepted for each kind of download.
+const CONTENT_TYPES = {
+    json: (type) => type === 'application/json' || type.endsWith('+json'),
+    image: (type) => type.startsWith('image/'),
+    html: (type) => type === 'text/html' || type === 'application/xhtml+xml'
+};
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+function fetchError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isBlockedAddress(address) {
+    const type = net.isIP(address);
+    if (type === 4) return blockedAddresses.check(address, 'ipv4');
+    if (type === 6) {
+        // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4.
+        const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+        return mapped ? blockedAddresses.check(mapped[1], 'ipv4') : blockedAddresses.check(address, 'ipv6');
+    }
+    return true;
+}
+
+// dns.lookup replacement for outbound sockets: refuses to connect when the
+// host resolves to a blocked address, which also defeats DNS rebinding.
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(fetchError('FETCH_BLOCKED', `Refusing to connect to ${hostname}: it resolves to the non-public address ${blocked.address}.`));
         }
-        return response;
-      } catch (error) {
-        if (attempt === retries) {
-          throw error;
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicAgent = new Agent({ connect: { lookup: safeLookup } });
+
+/**
+ * Checks that a URL may be fetched: http(s) only, and (unless
+ * FETCH_ALLOW_PRIVATE_NETWORKS is set) a host that resolves to public addresses.
+ */
+async function assertPublicUrl(url) {
+    const target = new URL(url);
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        throw fetchError('FETCH_BLOCKED', `Refusing to fetch ${target.protocol} URL ${target}.`);
+    }
+    if (config.fetchAllowPrivateNetworks) return target;
+
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+        throw fetchError('FETCH_BLOCKED', `Refusing to fetch ${target.origin}: it resolves to the non-public address ${blocked.address}.`);
+    }
+    return target;
+}
+
+// Reads the body into memory, failing as soon as it exceeds maxBytes.
+async function readBody(response, maxBytes) {
+    const tooLarge = () => fetchError('FETCH_TOO_LARGE', `Response from ${response.url} exceeds the limit of ${maxBytes} bytes.`);
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        await response.body?.cancel();
+        throw tooLarge();
+    }
+    if (!response.body) return null;
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) throw tooLarge();
+        chunks.push(chunk);
+    }
+    return size > 0 ? Buffer.concat(chunks) : null;
+}
+
+/**
+ * Fetches a user-supplied URL for the service. Every hop of a redirect chain
+ * must be a public http(s) address, the whole request (redirects included)
+ * is aborted after `timeout` ms, and the body is buffered up to `maxBytes`.
+ * `accept` ("json", "image" or "html") rejects responses of any other
+ * content type. Non-2xx responses are returned, not thrown.
+ */
+async function safeFetch(url, { accept, maxBytes = config.fetchMaxBytes, timeout = config.fetchTimeout, ...options } = {}) {
+    const signals = [AbortSignal.timeout(timeout)];
+    if (options.signal) signals.push(options.signal);
+    const signal = AbortSignal.any(signals);
+    const dispatcher = config.fetchAllowPrivateNetworks ? undefined : publicAgent;
+
+    let target = await assertPublicUrl(url);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        response = await fetch(target, { ...options, signal, dispatcher, redirect: 'manual' });
+        if (!REDIRECT_STATUSES.includes(response.status) || !response.headers.get('location')) break;
+
+        await response.body?.cancel();
+        if (redirects >= config.fetchMaxRedirects) {
+            throw fetchError('FETCH_TOO_MANY_REDIRECTS', `Too many redirects fetching ${url}.`);
+        }
+        target = await assertPublicUrl(new URL(response.headers.get('location'), target));
+        if (response.status === 303) {
+            options = { ...options, method: 'GET', body: undefined };
+        }
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (response.ok && accept && !CONTENT_TYPES[accept](contentType)) {
+        await response.body?.cancel();
+        throw fetchError('FETCH_BAD_CONTENT_TYPE', `Expected ${accept} from ${target}, got ${contentType || 'no content type'}.`);
+    }
+
+    const body = await readBody(response, maxBytes);
+    const buffered = new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+    // Keep the final URL after redirects, which Response does not take as an option.
+    Object.defineProperty(buffered, 'url', { value: target.toString() });
+    return buffered;
+}
+
+/**
+ * Fetches a URL with safeFetch, retrying failed attempts. The delay between
+ * attempts is multiplied by `factor` after each failure (1 keeps it constant),
+ * and each attempt is aborted after `timeout` ms. Blocked addresses, oversized
+ * bodies and unexpected content types are not retried.
+ * `onAttempt(attempt, response, error)` is called after every attempt.
+ */
+async function robustFetch(url, options = {}, retries = 3, { delay = 1000, factor = 1, timeout, onAttempt } = {}) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        let response;
+        try {
+            response = await safeFetch(url, timeout ? { ...options, timeout } : options);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            if (onAttempt) await onAttempt(attempt, response, null);
+            return response;
+        } catch (error) {
+            if (onAttempt) await onAttempt(attempt, response, error);
+            const permanent = typeof error.code === 'string' && error.code.startsWith('FETCH_');
+            if (attempt === retries || permanent || (options.signal && options.signal.aborted)) {
+                throw error;
+            }
+            console.warn(`Fetch attempt ${attempt} failed. Retrying...`, error.message);
+            await new Promise((resolve) => setTimeout(resolve, delay * Math.pow(factor, attempt - 1)));
         }
-        console.warn(`Fetch attempt ${attempt} failed. Retrying...`, error);
-        await new Promise((resolve) => setTimeout(resolve, 1000));
-      }
     }
-  }
\ No newline at end of file
+}
+
+module.exports = { robustFetch, safeFetch, assertPublicUrl, isBlockedAddress };
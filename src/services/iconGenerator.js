@@ -2,6 +2,27 @@ const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs').promises;
 
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Android density buckets and their scale relative to mdpi.
+const DENSITIES = { mdpi: 1, hdpi: 1.5, xhdpi: 2, xxhdpi: 3, xxxhdpi: 4 };
+
+const LAUNCHER_ICON_DP = 48;
+const ADAPTIVE_ICON_DP = 108;
+// Launchers may mask anything outside the central 66dp of an adaptive icon.
+const ADAPTIVE_SAFE_ZONE_DP = 66;
+const NOTIFICATION_ICON_DP = 24;
+const SPLASH_DP = 300;
+const STORE_ICON_SIZE = 512;
+
+const ADAPTIVE_ICON_XML = `<?xml version="1.0" encoding="utf-8"?>
+<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
+    <background android:drawable="@color/ic_launcher_background" />
+    <foreground android:drawable="@mipmap/ic_launcher_foreground" />
+    <monochrome android:drawable="@mipmap/ic_launcher_monochrome" />
+</adaptive-icon>
+`;
+
 class IconGenerator {
     constructor() {
         this.sizes = [48, 72, 96, 144, 192, 512];
@@ -35,6 +56,106 @@ class IconGenerator {
             throw new Error(`Failed to generate icons: ${error.message}`);
         }
     }
+
+    /**
+     * Generates the Android assets of a TWA project from one source image:
+     * legacy launcher icons per density, an adaptive icon (foreground with
+     * safe-zone padding, background color and monochrome layer), notification
+     * icons, splash images and the 512px Play Store icon (store_icon.png).
+     *
+     * `maskableSource`, when given, is used as the adaptive foreground as-is,
+     * since maskable icons already include their own safe zone.
+     */
+    async generateAndroidAssets(projectDir, { source, maskableSource, backgroundColor, notifications = true }) {
+        try {
+            const resDir = path.join(projectDir, 'app', 'src', 'main', 'res');
+            const outputs = [];
+
+            for (const [density, scale] of Object.entries(DENSITIES)) {
+                const mipmapDir = path.join(resDir, `mipmap-${density}`);
+                const drawableDir = path.join(resDir, `drawable-${density}`);
+                await fs.mkdir(mipmapDir, { recursive: true });
+                await fs.mkdir(drawableDir, { recursive: true });
+
+                const launcherSize = Math.round(LAUNCHER_ICON_DP * scale);
+                await this.renderPadded(source, launcherSize, launcherSize, path.join(mipmapDir, 'ic_launcher.png'));
+
+                const adaptiveSize = Math.round(ADAPTIVE_ICON_DP * scale);
+                const safeZoneSize = Math.round(ADAPTIVE_SAFE_ZONE_DP * scale);
+                const foregroundPath = path.join(mipmapDir, 'ic_launcher_foreground.png');
+                if (maskableSource) {
+                    await this.renderPadded(maskableSource, adaptiveSize, adaptiveSize, foregroundPath);
+                } else {
+                    await this.renderPadded(source, adaptiveSize, safeZoneSize, foregroundPath);
+                }
+                await this.renderSilhouette(source, adaptiveSize, safeZoneSize, path.join(mipmapDir, 'ic_launcher_monochrome.png'));
+
+                if (notifications) {
+                    const notificationSize = Math.round(NOTIFICATION_ICON_DP * scale);
+                    await this.renderSilhouette(source, notificationSize, notificationSize, path.join(drawableDir, 'ic_notification_icon.png'));
+                }
+
+                const splashSize = Math.round(SPLASH_DP * scale);
+                await this.renderPadded(source, splashSize, splashSize, path.join(drawableDir, 'splash.png'));
+
+                outputs.push(density);
+            }
+
+            // Adaptive icon definition (API 26+) and its background color.
+            const anydpiDir = path.join(resDir, 'mipmap-anydpi-v26');
+            const valuesDir = path.join(resDir, 'values');
+            await fs.mkdir(anydpiDir, { recursive: true });
+            await fs.mkdir(valuesDir, { recursive: true });
+            await fs.writeFile(path.join(anydpiDir, 'ic_launcher.xml'), ADAPTIVE_ICON_XML);
+            await fs.writeFile(
+                path.join(valuesDir, 'ic_launcher_background.xml'),
+                `<?xml version="1.0" encoding="utf-8"?>\n<resources>\n    <color name="ic_launcher_background">${backgroundColor}</color>\n</resources>\n`
+            );
+
+            const storeIconPath = path.join(projectDir, 'store_icon.png');
+            await sharp(source)
+                .resize(STORE_ICON_SIZE, STORE_ICON_SIZE, { fit: 'contain', background: backgroundColor })
+                .flatten({ background: backgroundColor })
+                .png()
+                .toFile(storeIconPath);
+
+            return { densities: outputs, storeIcon: storeIconPath };
+        } catch (error) {
+            throw new Error(`Failed to generate Android assets: ${error.message}`);
+        }
+    }
+
+    // Renders the source centered in a transparent square canvas, scaled to fit `innerSize`.
+    async renderPadded(source, canvasSize, innerSize, outputPath) {
+        await fs.writeFile(outputPath, await this.renderPaddedBuffer(source, canvasSize, innerSize));
+    }
+
+    // Renders a white silhouette of the source, for monochrome (themed) and notification icons.
+    // Transparent sources keep their shape; opaque ones use their dark areas as the shape.
+    async renderSilhouette(source, canvasSize, innerSize, outputPath) {
+        const { isOpaque } = await sharp(source).stats();
+        const fitted = sharp(await this.renderPaddedBuffer(source, canvasSize, innerSize));
+        const mask = isOpaque
+            ? await fitted.flatten({ background: '#ffffff' }).grayscale().negate().toColourspace('b-w').png().toBuffer()
+            : await fitted.extractChannel('alpha').png().toBuffer();
+
+        await sharp({ create: { width: canvasSize, height: canvasSize, channels: 3, background: '#ffffff' } })
+            .joinChannel(mask)
+            .png()
+            .toFile(outputPath);
+    }
+
+    async renderPaddedBuffer(source, canvasSize, innerSize) {
+        const inner = await sharp(source)
+            .resize(innerSize, innerSize, { fit: 'contain', background: TRANSPARENT })
+            .png()
+            .toBuffer();
+
+        return sharp({ create: { width: canvasSize, height: canvasSize, channels: 4, background: TRANSPARENT } })
+            .composite([{ input: inner, gravity: 'center' }])
+            .png()
+            .toBuffer();
+    }
 }
 
 module.exports = new IconGenerator();
@@ -0,0 +1,69 @@
+const jobQueue = require('./jobQueue');
+const { validateObject } = require('../utils/validate');
+
+const MAX_PAGE_SIZE = 200;
+
+// Accepts epoch milliseconds or an ISO 8601 date.
+function parseDate(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? value : time;
+}
+
+// Converts the numeric query parameters; anything else is left for the
+// schema to reject.
+function parseInteger(value) {
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+const schema = {
+    status: {
+        type: 'array',
+        items: { type: 'string', enum: jobQueue.statuses }
+    },
+    domain: { type: 'string' },
+    batchId: { type: 'string' },
+    apiKeyId: { type: 'string' },
+    from: { type: 'integer' },
+    to: { type: 'integer' },
+    sort: { type: 'string', enum: jobQueue.sortFields },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    offset: { type: 'integer', min: 0 }
+};
+
+// Query parameters of GET /jobs and GET /admin/jobs.
+class JobFilters {
+    /**
+     * Parses a job listing query string. `status` takes a comma-separated
+     * list, `from`/`to` take epoch ms or ISO dates, and `apiKeyId` is only
+     * accepted with `admin`. Returns { errors, filters, paging }.
+     */
+    parse(query, { admin = false } = {}) {
+        const values = {
+            status: typeof query.status === 'string' ? query.status.split(',').map((status) => status.trim()) : query.status,
+            domain: typeof query.domain === 'string' ? query.domain.trim().toLowerCase() : query.domain,
+            batchId: query.batchId,
+            apiKeyId: admin ? query.apiKeyId : undefined,
+            from: typeof query.from === 'string' ? parseDate(query.from) : query.from,
+            to: typeof query.to === 'string' ? parseDate(query.to) : query.to,
+            sort: query.sort,
+            order: query.order,
+            limit: typeof query.limit === 'string' ? parseInteger(query.limit) : query.limit,
+            offset: typeof query.offset === 'string' ? parseInteger(query.offset) : query.offset
+        };
+        const errors = validateObject(values, schema, '')
+            .map((error) => (error.field === 'from' || error.field === 'to'
+                ? { ...error, expectedType: 'ISO 8601 date or epoch milliseconds' }
+                : error));
+
+        const { sort = 'created', order = 'desc', limit = 50, offset = 0, status, ...filters } = values;
+        return {
+            errors,
+            filters: { ...filters, statuses: status },
+            paging: { sort, order, limit, offset }
+        };
+    }
+}
+
+module.exports = new JobFilters();
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const config = require('../config/config');
+const jobQueue = require('./jobQueue');
+const metrics = require('./metrics');
+const { sanitizeMessage } = require('../utils/sanitize');
+
+const jobLogDir = path.join(__dirname, '..', '..', config.jobLogDir);
+
+function getJobLogPath(jobId) {
+    return path.join(jobLogDir, `${jobId}.log`);
+}
+
+/**
+ * A Bubblewrap-compatible Log that writes every line of a job to
+ * logs/jobs/<jobId>.log and mirrors it to the console with a [Job id] prefix.
+ * It also tracks the job's current stage, so a failure can be attributed to it,
+ * and treats every stage change as a checkpoint for cancellation (`signal`).
+ */
+class JobLogger {
+    constructor(jobId, { tag = null, verbose = false, signal = null } = {}, shared = { stage: null, stageStarted: null, signal }) {
+        this.jobId = jobId;
+        this.tag = tag;
+        this.verbose = verbose;
+        this.shared = shared;
+        this.logPath = getJobLogPath(jobId);
+        fs.mkdirSync(jobLogDir, { recursive: true });
+    }
+
+    get stage() {
+        return this.shared.stage;
+    }
+
+    get signal() {
+        return this.shared.signal;
+    }
+
+    // Throws the abort reason if the job was cancelled or timed out.
+    throwIfAborted() {
+        if (this.signal && this.signal.aborted) {
+            throw this.signal.reason;
+        }
+    }
+
+    write(level, message, args) {
+        const text = sanitizeMessage(util.format(message, ...args), 10000);
+        const prefix = this.tag ? `[${this.tag}] ` : '';
+        const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+        const stamp = new Date().toISOString();
+
+        // Written synchronously so readers tailing the file never see partial lines.
+        fs.appendFileSync(this.logPath, lines.map((line) => `${stamp} ${level.toUpperCase()} ${prefix}${line}\n`).join(''));
+        const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+        lines.forEach((line) => output(`[Job ${this.jobId}] ${prefix}${line}`));
+    }
+
+    debug(message, ...args) {
+        if (this.verbose) this.write('debug', message, args);
+    }
+
+    info(message, ...args) {
+        this.write('info', message, args);
+    }
+
+    warn(message, ...args) {
+        this.write('warn', message, args);
+    }
+
+    error(message, ...args) {
+        this.write('error', message, args);
+    }
+
+    // Kept for callers that expect a { log } object.
+    log(message, ...args) {
+        this.write('info', message, args);
+    }
+
+    setVerbose(verbose) {
+        this.verbose = verbose;
+    }
+
+    // Creates a tagged Log that writes to the same job log.
+    newLog(tag, verbose = this.verbose) {
+        return new JobLogger(this.jobId, { tag, verbose }, this.shared);
+    }
+
+    // Records the stage the job has entered, e.g. "manifest" or "gradle:assembleRelease".
+    async setStage(stage) {
+        this.throwIfAborted();
+        this.endStage();
+        this.shared.stage = stage;
+        this.shared.stageStarted = Date.now();
+        this.info(`Stage: ${stage}`);
+        await jobQueue.setFields(this.jobId, { stage });
+    }
+
+    // Reports the time spent in the current stage to the metrics. Called on
+    // every stage change and once more when the job ends.
+    endStage() {
+        if (this.shared.stageStarted === null) return;
+        metrics.observeStage(this.jobId, this.shared.stage, Date.now() - this.shared.stageStarted)
+            .catch((error) => console.error(`[Job ${this.jobId}] Error recording stage duration:`, error));
+        this.shared.stageStarted = null;
+    }
+}
+
+module.exports = { JobLogger, getJobLogPath };
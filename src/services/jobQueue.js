@@ -0,0 +1,329 @@
+const database = require('./database');
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'expired'];
+
+// Columns GET /jobs can sort by.
+const JOB_SORT_FIELDS = ['created', 'updated', 'finished', 'status', 'domain'];
+
+// Durable job queue backed by the SQLite "jobs" table, shared by the API and
+// the worker processes. A job moves from "pending" to "processing" when a
+// worker claims it, and then to "completed", "failed" or "cancelled".
+// Completed jobs become "expired" once the retention sweeper deletes their
+// artifacts. A claimed job is leased to its worker, which renews the lease
+// while it runs; jobs whose lease ran out are recovered by another worker.
+class JobQueue {
+    get statuses() {
+        return JOB_STATUSES;
+    }
+
+    get sortFields() {
+        return JOB_SORT_FIELDS;
+    }
+
+    /**
+     * Queues a job. `payload` holds the conversion parameters; the URL and
+     * its domain are also stored in their own columns for searching.
+     * `client` ({ ip, userAgent }) records who submitted the job, and
+     * `retryOf` the job it repeats. With `limits` (see enqueueAll) the job
+     * is only queued if the API key's quota allows it; resolves to null
+     * when it does not.
+     */
+    async enqueue(jobId, payload, { apiKeyId = null, batchId = null, client = {}, retryOf = null, limits = null } = {}) {
+        const created = Date.now();
+        const queued = await this.enqueueAll([{ jobId, payload, retryOf }], { apiKeyId, batchId, client, limits, created });
+        return queued ? { jobId, status: 'pending', created } : null;
+    }
+
+    /**
+     * Queues several jobs ({ jobId, payload, retryOf }) at once, all or none.
+     * `limits` ({ active, recent, since }, each optional) is the API key's
+     * quota: the jobs are only inserted if the key then has at most `active`
+     * pending or processing jobs and at most `recent` jobs created after
+     * `since`. The check and the insert are one statement, so concurrent
+     * requests cannot both slip under the limit. Resolves to false when the
+     * quota refused the jobs.
+     */
+    async enqueueAll(jobs, { apiKeyId = null, batchId = null, client = {}, limits = null, created = Date.now() } = {}) {
+        const params = [];
+        const rows = jobs.map(({ jobId, payload, retryOf = null }) => {
+            params.push(
+                jobId, created, created, JSON.stringify(payload), apiKeyId, batchId,
+                payload.url, new URL(payload.url).hostname, client.ip || null, client.userAgent || null, retryOf
+            );
+            return "(?, 'pending', ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)";
+        });
+        const conditions = [];
+        if (limits && limits.active !== undefined) {
+            conditions.push("(SELECT COUNT(*) FROM jobs WHERE apiKeyId = ? AND status IN ('pending', 'processing')) + ? <= ?");
+            params.push(apiKeyId, jobs.length, limits.active);
+        }
+        if (limits && limits.recent !== undefined) {
+            conditions.push("(SELECT COUNT(*) FROM jobs WHERE apiKeyId = ? AND created > ?) + ? <= ?");
+            params.push(apiKeyId, limits.since, jobs.length, limits.recent);
+        }
+        const result = await database.run(
+            `INSERT INTO jobs (jobId, status, created, updated, payload, attempts, apiKeyId, batchId, url, domain, clientIp, userAgent, retryOf)
+             SELECT * FROM (VALUES ${rows.join(', ')})
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+            params
+        );
+        return result.changes > 0;
+    }
+
+    // Atomically moves the oldest pending job to "processing", leased to
+    // `workerId` for `leaseDuration` ms, and returns it, or null when the
+    // queue is empty.
+    async claimNext(workerId, leaseDuration) {
+        const now = Date.now();
+        const row = await database.get(
+            `UPDATE jobs
+               SET status = 'processing', attempts = attempts + 1, started = ?, updated = ?,
+                   workerId = ?, leaseExpires = ?
+             WHERE jobId = (
+               SELECT jobId FROM jobs WHERE status = 'pending' ORDER BY created LIMIT 1
+             ) AND status = 'pending'
+             RETURNING *`,
+            [now, now, workerId, now + leaseDuration]
+        );
+        if (!row) return null;
+
+        return {
+            jobId: row.jobId,
+            attempts: row.attempts,
+            apiKeyId: row.apiKeyId,
+            ...JSON.parse(row.payload || '{}')
+        };
+    }
+
+    // Like claimNext, for one given job, so the CLI's --local mode runs the
+    // job it enqueued. Returns null unless the job is still pending.
+    async claim(jobId, workerId, leaseDuration) {
+        const now = Date.now();
+        const row = await database.get(
+            `UPDATE jobs
+               SET status = 'processing', attempts = attempts + 1, started = ?, updated = ?,
+                   workerId = ?, leaseExpires = ?
+             WHERE jobId = ? AND status = 'pending'
+             RETURNING *`,
+            [now, now, workerId, now + leaseDuration, jobId]
+        );
+        if (!row) return null;
+
+        return {
+            jobId: row.jobId,
+            attempts: row.attempts,
+            apiKeyId: row.apiKeyId,
+            ...JSON.parse(row.payload || '{}')
+        };
+    }
+
+    // Extends the leases of a worker's running jobs. Resolves to the IDs of
+    // the jobs it still holds; any other job was recovered in the meantime.
+    async renewLeases(workerId, jobIds, leaseDuration) {
+        if (jobIds.length === 0) return [];
+        const rows = await database.all(
+            `UPDATE jobs SET leaseExpires = ?
+              WHERE workerId = ? AND status = 'processing' AND jobId IN (${jobIds.map(() => '?').join(', ')})
+              RETURNING jobId`,
+            [Date.now() + leaseDuration, workerId, ...jobIds]
+        );
+        return rows.map((row) => row.jobId);
+    }
+
+    // Puts a job interrupted by a worker shutdown back in the queue. The
+    // interrupted attempt is not counted against MAX_JOB_ATTEMPTS.
+    async requeue(jobId, workerId) {
+        await database.run(
+            `UPDATE jobs SET status = 'pending', attempts = MAX(attempts - 1, 0), stage = NULL,
+                    workerId = NULL, leaseExpires = NULL, updated = ?
+              WHERE jobId = ? AND workerId = ? AND status = 'processing'`,
+            [Date.now(), jobId, workerId]
+        );
+    }
+
+    async complete(jobId, files, artifacts = null) {
+        const now = Date.now();
+        await database.run(
+            "UPDATE jobs SET status = 'completed', files = ?, artifacts = ?, error = NULL, updated = ?, finished = ? WHERE jobId = ?",
+            [JSON.stringify(files), artifacts ? JSON.stringify(artifacts) : null, now, now, jobId]
+        );
+    }
+
+    async fail(jobId, error, failedStage = null) {
+        const now = Date.now();
+        await database.run(
+            "UPDATE jobs SET status = 'failed', error = ?, failedStage = ?, updated = ?, finished = ? WHERE jobId = ?",
+            [error, failedStage, now, now, jobId]
+        );
+    }
+
+    // Cancels a job that has not started yet. Resolves to false if it was no longer pending.
+    async cancelPending(jobId) {
+        const now = Date.now();
+        const result = await database.run(
+            "UPDATE jobs SET status = 'cancelled', updated = ?, finished = ? WHERE jobId = ? AND status = 'pending'",
+            [now, now, jobId]
+        );
+        return result.changes > 0;
+    }
+
+    // Flags a running job for cancellation; the process running it stops the build.
+    async requestCancel(jobId) {
+        const result = await database.run(
+            "UPDATE jobs SET cancelRequested = 1, updated = ? WHERE jobId = ? AND status = 'processing'",
+            [Date.now(), jobId]
+        );
+        return result.changes > 0;
+    }
+
+    async isCancelRequested(jobId) {
+        const row = await database.get("SELECT cancelRequested FROM jobs WHERE jobId = ?", [jobId]);
+        return Boolean(row && row.cancelRequested);
+    }
+
+    async markCancelled(jobId, stage = null) {
+        const now = Date.now();
+        await database.run(
+            "UPDATE jobs SET status = 'cancelled', failedStage = ?, updated = ?, finished = ? WHERE jobId = ?",
+            [stage, now, now, jobId]
+        );
+    }
+
+    // Number of pending jobs that will be claimed before the given one.
+    async getQueuePosition(job) {
+        const row = await database.get(
+            "SELECT COUNT(*) AS ahead FROM jobs WHERE status = 'pending' AND created < ?",
+            [job.created]
+        );
+        return row.ahead;
+    }
+
+    /**
+     * Lists jobs matching `filters` ({ apiKeyId, statuses, domain, batchId,
+     * from, to }, all optional; `from` and `to` bound the creation time),
+     * newest first unless `sort`/`order` say otherwise. Resolves to
+     * { jobs, total }, where total counts every match regardless of paging.
+     */
+    async list(filters, { sort = 'created', order = 'desc', limit = 50, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (filters.apiKeyId) {
+            conditions.push("apiKeyId = ?");
+            params.push(filters.apiKeyId);
+        }
+        if (filters.statuses && filters.statuses.length) {
+            conditions.push(`status IN (${filters.statuses.map(() => '?').join(', ')})`);
+            params.push(...filters.statuses);
+        }
+        if (filters.domain) {
+            conditions.push("domain = ?");
+            params.push(filters.domain);
+        }
+        if (filters.batchId) {
+            conditions.push("batchId = ?");
+            params.push(filters.batchId);
+        }
+        if (filters.from !== undefined) {
+            conditions.push("created >= ?");
+            params.push(filters.from);
+        }
+        if (filters.to !== undefined) {
+            conditions.push("created <= ?");
+            params.push(filters.to);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const { total } = await database.get(`SELECT COUNT(*) AS total FROM jobs ${where}`, params);
+        // `sort` is one of JOB_SORT_FIELDS, checked by the caller.
+        const jobs = await database.all(
+            `SELECT jobId, status, stage, url, domain, apiKeyId, batchId, retryOf, error, failedStage, attempts,
+                    clientIp, userAgent, created, started, finished
+               FROM jobs ${where}
+              ORDER BY ${sort} ${order === 'asc' ? 'ASC' : 'DESC'}, rowid ${order === 'asc' ? 'ASC' : 'DESC'}
+              LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        return { jobs, total };
+    }
+
+    // Number of jobs per status, e.g. { pending: 3, completed: 10 }.
+    async countByStatus() {
+        const rows = await database.all("SELECT status, COUNT(*) AS count FROM jobs GROUP BY status");
+        return Object.fromEntries(rows.map(({ status, count }) => [status, count]));
+    }
+
+    // Jobs still "processing" after their lease expired lost their worker
+    // (it crashed or was killed). Requeue them unless they were being
+    // cancelled or have used up their attempts. Jobs without a lease were
+    // claimed before leases existed. Resolves to the number of requeued jobs
+    // and the jobs it finished ({ jobId, status, stage, callbackUrl }), so
+    // their clients can be notified.
+    async recoverExpired(maxAttempts) {
+        const now = Date.now();
+        const expired = "status = 'processing' AND (leaseExpires IS NULL OR leaseExpires < ?)";
+        const cancelled = await database.all(
+            `UPDATE jobs SET status = 'cancelled', failedStage = stage, updated = ?, finished = ?
+              WHERE ${expired} AND cancelRequested = 1
+              RETURNING jobId, status, stage, payload`,
+            [now, now, now]
+        );
+        const requeued = await database.run(
+            `UPDATE jobs SET status = 'pending', stage = NULL, workerId = NULL, leaseExpires = NULL, updated = ?
+              WHERE ${expired} AND attempts < ?`,
+            [now, now, maxAttempts]
+        );
+        const failed = await database.all(
+            `UPDATE jobs SET status = 'failed', error = ?, failedStage = stage, updated = ?, finished = ?
+              WHERE ${expired}
+              RETURNING jobId, status, stage, payload`,
+            ["Job was interrupted too many times.", now, now, now]
+        );
+        return {
+            requeued: requeued.changes,
+            finished: [...cancelled, ...failed].map((row) => ({
+                jobId: row.jobId,
+                status: row.status,
+                stage: row.stage,
+                callbackUrl: JSON.parse(row.payload || '{}').callbackUrl
+            }))
+        };
+    }
+
+    // Stores additional result columns on a job. Column names come from the caller, never from a request.
+    async setFields(jobId, fields) {
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return;
+        await database.run(
+            `UPDATE jobs SET ${columns.map((column) => `${column} = ?`).join(', ')}, updated = ? WHERE jobId = ?`,
+            [...columns.map((column) => fields[column]), Date.now(), jobId]
+        );
+    }
+
+    async getJob(jobId) {
+        return database.get("SELECT * FROM jobs WHERE jobId = ?", [jobId]);
+    }
+
+    // Returns the job only if it belongs to the given API key.
+    async getOwnedJob(jobId, apiKeyId) {
+        return database.get("SELECT * FROM jobs WHERE jobId = ? AND apiKeyId = ?", [jobId, apiKeyId]);
+    }
+
+    // Uploaded files (icons) of the jobs that are still pending or processing.
+    async listActiveUploads() {
+        const rows = await database.all("SELECT payload FROM jobs WHERE status IN ('pending', 'processing')");
+        return rows
+            .map((row) => JSON.parse(row.payload || '{}').iconPath)
+            .filter(Boolean);
+    }
+
+    // Marks completed jobs that finished before `before` as "expired" and
+    // returns them ({ jobId, files }) so their artifacts can be deleted.
+    async expireCompleted(before) {
+        return database.all(
+            "UPDATE jobs SET status = 'expired', updated = ? WHERE status = 'completed' AND finished < ? RETURNING jobId, files",
+            [Date.now(), before]
+        );
+    }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,149 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const database = require('./database');
+const { keystoreStorage } = require('./storage');
+const { encryptSecret, decryptSecret, isEncrypted } = require('../utils/secrets');
+
+// Stores the signing key options per domain. Passwords are encrypted at rest;
+// the keystore files live in the private keystore storage (see storage.js)
+// and are copied to a private working directory while a build uses them.
+class Keystores {
+    // Name of a domain's keystore in the keystore storage.
+    getKeystoreName(domain) {
+        return `${domain}.jks`;
+    }
+
+    // Creates a private (0700) working directory for keystore files. The
+    // caller removes it when done.
+    createWorkDir() {
+        return fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    }
+
+    /**
+     * Copies a domain's keystore into `dir` and resolves to the copy's path,
+     * or to null when the domain has no keystore yet.
+     */
+    async checkout(domain, dir) {
+        const name = this.getKeystoreName(domain);
+        if (!(await keystoreStorage.stat(name))) return null;
+        const localPath = path.join(dir, name);
+        await keystoreStorage.get(name, localPath);
+        return localPath;
+    }
+
+    // Stores the keystore file at `filePath` as the domain's keystore.
+    async checkin(domain, filePath) {
+        await keystoreStorage.put(this.getKeystoreName(domain), filePath);
+    }
+
+    // The key the Android Gradle plugin signs debug builds with (created on the first debug build).
+    getDebugKeyOptions() {
+        return {
+            path: path.join(os.homedir(), '.android', 'debug.keystore'),
+            alias: 'androiddebugkey',
+            password: 'android',
+            keypassword: 'android'
+        };
+    }
+
+    // Returns the decrypted key options for a domain, or null if none are stored.
+    // `path` is left out: it is wherever checkout() put the keystore.
+    async getKeyOptions(domain) {
+        const row = await database.get("SELECT * FROM keystores WHERE domain = ?", [domain]);
+        if (!row) return null;
+
+        return {
+            alias: row.alias || row.domain,
+            password: decryptSecret(row.password),
+            keypassword: decryptSecret(row.keypassword),
+            fullName: row.fullName,
+            organizationalUnit: row.organizationalUnit,
+            organization: row.organization,
+            country: row.country
+        };
+    }
+
+    // Records the key options of the keystore stored with checkin().
+    async saveKeyOptions(domain, jobId, keyOptions, source = 'generated') {
+        await database.run(
+            // Replacing the key clears its cached fingerprints but keeps any extra fingerprints.
+            `INSERT INTO keystores (domain, jobId, keystorePath, alias, password, keypassword, fullName, organizationalUnit, organization, country, source, updated)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT(domain) DO UPDATE SET
+               jobId = excluded.jobId, keystorePath = excluded.keystorePath, alias = excluded.alias,
+               password = excluded.password, keypassword = excluded.keypassword, fullName = excluded.fullName,
+               organizationalUnit = excluded.organizationalUnit, organization = excluded.organization,
+               country = excluded.country, source = excluded.source, updated = excluded.updated,
+               sha256Fingerprint = NULL, sha1Fingerprint = NULL`,
+            [
+                domain,
+                jobId,
+                this.getKeystoreName(domain),
+                keyOptions.alias,
+                encryptSecret(keyOptions.password),
+                encryptSecret(keyOptions.keypassword),
+                keyOptions.fullName || null,
+                keyOptions.organizationalUnit || null,
+                keyOptions.organization || null,
+                keyOptions.country || null,
+                source,
+                Date.now()
+            ]
+        );
+    }
+
+    // Caches the signing certificate fingerprints read with KeyTool.keyInfo().
+    async saveFingerprints(domain, keyInfo) {
+        await database.run(
+            "UPDATE keystores SET sha256Fingerprint = ?, sha1Fingerprint = ?, updated = ? WHERE domain = ?",
+            [keyInfo.fingerprints.get('SHA256') || null, keyInfo.fingerprints.get('SHA1') || null, Date.now(), domain]
+        );
+    }
+
+    // Extra SHA-256 fingerprints to include in assetlinks.json, such as the Play App Signing key.
+    async setExtraFingerprints(domain, fingerprints) {
+        const result = await database.run(
+            "UPDATE keystores SET extraFingerprints = ?, updated = ? WHERE domain = ?",
+            [JSON.stringify(fingerprints), Date.now(), domain]
+        );
+        return result.changes > 0;
+    }
+
+    async getFingerprints(domain) {
+        const row = await database.get(
+            "SELECT domain, alias, sha256Fingerprint, sha1Fingerprint, extraFingerprints FROM keystores WHERE domain = ?",
+            [domain]
+        );
+        if (!row) return null;
+
+        return {
+            domain: row.domain,
+            alias: row.alias || row.domain,
+            sha256: row.sha256Fingerprint,
+            sha1: row.sha1Fingerprint,
+            extraFingerprints: row.extraFingerprints ? JSON.parse(row.extraFingerprints) : []
+        };
+    }
+
+    // Encrypts passwords that were stored in plaintext by earlier versions.
+    async encryptPlaintextPasswords() {
+        const rows = await database.all("SELECT domain, password, keypassword FROM keystores");
+        let migrated = 0;
+        for (const row of rows) {
+            if (isEncrypted(row.password) && isEncrypted(row.keypassword)) continue;
+            await database.run(
+                "UPDATE keystores SET password = ?, keypassword = ? WHERE domain = ?",
+                [
+                    isEncrypted(row.password) ? row.password : encryptSecret(row.password),
+                    isEncrypted(row.keypassword) ? row.keypassword : encryptSecret(row.keypassword),
+                    row.domain
+                ]
+            );
+            migrated++;
+        }
+        return migrated;
+    }
+}
+
+module.exports = new Keystores();
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { TwaGenerator } = require('@bubblewrap/core');
+
+// Placeholder icon URL for TWA manifests whose icons are produced locally by
+// IconGenerator instead of being downloaded by Bubblewrap.
+const LOCAL_ICON_URL = 'local-icon://source';
+
+// Where Bubblewrap saves the web manifest inside the project.
+const WEB_MANIFEST_PATH = path.join('app', 'src', 'main', 'res', 'raw', 'web_app_manifest.json');
+
+// TwaGenerator that skips icon lists pointing at LOCAL_ICON_URL; the job
+// writes those assets into the project after createTwaProject(). It also
+// writes the web manifest the job downloaded through services/fetch.js
+// (`webManifest`) instead of letting Bubblewrap fetch webManifestUrl again
+// without the SSRF checks.
+class LocalIconTwaGenerator extends TwaGenerator {
+    constructor({ webManifest = null } = {}) {
+        super();
+        this.webManifest = webManifest;
+    }
+
+    async generateIcons(iconUrl, targetDir, iconList, backgroundColor) {
+        if (iconUrl === LOCAL_ICON_URL) return;
+        return super.generateIcons(iconUrl, targetDir, iconList, backgroundColor);
+    }
+
+    async writeWebManifest(twaManifest, targetDirectory) {
+        if (!this.webManifest) {
+            throw new Error('Unable to write the Web Manifest. The generator was not given the downloaded manifest.');
+        }
+        // Like Bubblewrap, launch with the TWA's start URL.
+        const webManifestJson = { ...this.webManifest, start_url: twaManifest.startUrl };
+        const webManifestPath = path.join(targetDirectory, WEB_MANIFEST_PATH);
+        await fs.promises.mkdir(path.dirname(webManifestPath), { recursive: true });
+        await fs.promises.writeFile(webManifestPath, JSON.stringify(webManifestJson));
+    }
+}
+
+module.exports = { LocalIconTwaGenerator, LOCAL_ICON_URL };
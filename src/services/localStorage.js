@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backend keeping objects as files in one directory of the local
+// disk. `private` stores (keystores) get a 0700 directory and 0600 files.
+class LocalStorage {
+    constructor({ dir, private: isPrivate = false }) {
+        this.dir = dir;
+        this.private = isPrivate;
+    }
+
+    get description() {
+        return `directory ${this.dir}`;
+    }
+
+    getPath(name) {
+        return path.join(this.dir, path.basename(name));
+    }
+
+    ensureDir() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true, mode: this.private ? 0o700 : 0o755 });
+        }
+    }
+
+    // Stores the local file `filePath` as `name`, replacing any previous object.
+    async put(name, filePath) {
+        this.ensureDir();
+        const target = this.getPath(name);
+        if (path.resolve(filePath) === target) return;
+        await fs.promises.copyFile(filePath, target);
+        if (this.private) await fs.promises.chmod(target, 0o600);
+    }
+
+    // Copies the object to the local file `destination`.
+    async get(name, destination) {
+        await fs.promises.copyFile(this.getPath(name), destination);
+        if (this.private) await fs.promises.chmod(destination, 0o600);
+    }
+
+    async createReadStream(name) {
+        return fs.createReadStream(this.getPath(name));
+    }
+
+    // Resolves to { size, modified } or null when there is no such object.
+    async stat(name) {
+        try {
+            const stats = await fs.promises.stat(this.getPath(name));
+            return { size: stats.size, modified: stats.mtimeMs };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(name) {
+        await fs.promises.rm(this.getPath(name), { recursive: true, force: true });
+    }
+
+    // Every object as { name, size, modified }.
+    async list() {
+        if (!fs.existsSync(this.dir)) return [];
+        const entries = [];
+        for (const name of await fs.promises.readdir(this.dir)) {
+            const stats = await fs.promises.stat(path.join(this.dir, name));
+            entries.push({ name, size: stats.size, modified: stats.mtimeMs });
+        }
+        return entries;
+    }
+
+    // Files on disk are served by the API itself; there are no presigned URLs.
+    async presign() {
+        return null;
+    }
+
+    // Throws unless the directory exists (or can be created) and is writable.
+    async check() {
+        this.ensureDir();
+        await fs.promises.access(this.dir, fs.constants.W_OK);
+    }
+}
+
+module.exports = { LocalStorage };
@@ -0,0 +1,73 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { GradleWrapper } = require('@bubblewrap/core');
+
+const KILL_GRACE_PERIOD = 10000;
+
+/**
+ * A GradleWrapper that streams Gradle's output line by line to a Log instead
+ * of discarding it, so build failures can be diagnosed from the job log.
+ * When `signal` aborts, the Gradle process group is killed.
+ */
+class LoggedGradleWrapper extends GradleWrapper {
+    constructor(process, androidSdkTools, projectLocation, log, signal = null) {
+        super(process, androidSdkTools, projectLocation);
+        this.log = log;
+        this.signal = signal;
+    }
+
+    executeGradleCommand(args) {
+        if (this.signal && this.signal.aborted) {
+            return Promise.reject(this.signal.reason);
+        }
+
+        const env = this.androidSdkTools.getEnv();
+        const isWindows = process.platform === 'win32';
+        this.log.info(`Running ${this.gradleCmd} ${args.join(' ')}`);
+
+        return new Promise((resolve, reject) => {
+            // On Unix-like systems Gradle runs in its own process group, so the
+            // wrapper and the JVMs it starts can be killed together.
+            const child = spawn(this.gradleCmd, args, {
+                cwd: this.projectLocation,
+                env,
+                shell: isWindows,
+                detached: !isWindows
+            });
+
+            const kill = (signalName) => {
+                try {
+                    if (isWindows) child.kill(signalName);
+                    else process.kill(-child.pid, signalName);
+                } catch (error) {
+                    // The process already exited.
+                }
+            };
+            let forceKillTimer = null;
+            const onAbort = () => {
+                this.log.warn(`Stopping Gradle: ${this.signal.reason.message}`);
+                kill('SIGTERM');
+                forceKillTimer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_PERIOD);
+            };
+            if (this.signal) this.signal.addEventListener('abort', onAbort, { once: true });
+
+            readline.createInterface({ input: child.stdout }).on('line', (line) => this.log.info(line));
+            readline.createInterface({ input: child.stderr }).on('line', (line) => this.log.warn(line));
+
+            child.on('error', reject);
+            child.on('close', (code, signal) => {
+                if (this.signal) this.signal.removeEventListener('abort', onAbort);
+                clearTimeout(forceKillTimer);
+                if (this.signal && this.signal.aborted) {
+                    reject(this.signal.reason);
+                } else if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`Gradle ${args[0]} failed (${signal ? `signal ${signal}` : `exit code ${code}`}).`));
+                }
+            });
+        });
+    }
+}
+
+module.exports = { LoggedGradleWrapper };
@@ -0,0 +1,69 @@
+const { robustFetch } = require('./fetch');
+
+const COMMENT = /<!--[\s\S]*?-->/g;
+const TAG = /<(link|base)\b([^>]*)>/gi;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const ENTITIES = { '&amp;': '&', '&quot;': '"', '&#39;': "'", '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(ATTRIBUTE)) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attributes[match[1].toLowerCase()] = value.replace(/&(amp|quot|#39|apos|lt|gt);/g, (entity) => ENTITIES[entity]);
+    }
+    return attributes;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.code = 'manifest_not_found';
+    return error;
+}
+
+// Finds the web manifest of a site from the <link rel="manifest"> tag of its page.
+class ManifestDiscovery {
+    /**
+     * Returns the absolute URL of the manifest linked from `html`, resolved
+     * against `pageUrl` (and the page's <base href>, if any), or null.
+     */
+    findManifestLink(html, pageUrl) {
+        let baseUrl = pageUrl;
+        for (const [, tag, attributeSource] of html.replace(COMMENT, '').matchAll(TAG)) {
+            const attributes = parseAttributes(attributeSource);
+            if (tag.toLowerCase() === 'base') {
+                if (attributes.href) baseUrl = new URL(attributes.href, pageUrl).toString();
+                continue;
+            }
+            const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+            if (rel.includes('manifest') && attributes.href) {
+                try {
+                    return new URL(attributes.href, baseUrl).toString();
+                } catch (e) {
+                    throw notFound(`The page links an invalid manifest URL: ${attributes.href}`);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fetches `url`, following redirects, and returns the URL of the manifest
+     * it links to. Throws an error with code "manifest_not_found" otherwise.
+     */
+    async discover(url) {
+        let response;
+        try {
+            response = await robustFetch(url, { accept: 'html', headers: { Accept: 'text/html' } });
+        } catch (error) {
+            throw notFound(`Could not fetch ${url} to discover its manifest: ${error.message}`);
+        }
+
+        const manifestUrl = this.findManifestLink(await response.text(), response.url || url);
+        if (!manifestUrl) {
+            throw notFound(`No <link rel="manifest"> tag found on ${response.url || url}. Pass "manifestUrl" explicitly.`);
+        }
+        return manifestUrl;
+    }
+}
+
+module.exports = new ManifestDiscovery();
@@ -1,35 +1,79 @@
-const fs = require('fs').promises;
+const { safeFetch } = require('./fetch');
+
+const MANIFEST_DEFAULTS = {
+    display: 'standalone',
+    start_url: '/',
+    theme_color: '#ffffff',
+    background_color: '#ffffff'
+};
 
 class ManifestProcessor {
     async processManifest(manifestUrl, icons) {
         try {
-            let manifest;
-
-            if (manifestUrl.startsWith('http')) {
-                const response = await fetch(manifestUrl);
+            // Only http(s) URLs are accepted; safeFetch refuses anything else.
+            const response = await safeFetch(manifestUrl, { accept: 'json' });
 
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch manifest: HTTP ${response.status}`);
-                }
-
-                manifest = await response.json();
-            } else {
-                const fileData = await fs.readFile(manifestUrl, 'utf8');
-                manifest = JSON.parse(fileData);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch manifest: HTTP ${response.status}`);
             }
 
-            // Ensure essential properties exist
+            const manifest = this.resolveUrls(await response.json(), response.url);
+
             manifest.icons = icons;
-            manifest.display = manifest.display || 'standalone';
-            manifest.start_url = manifest.start_url || '/';
-            manifest.theme_color = manifest.theme_color || '#ffffff';
-            manifest.background_color = manifest.background_color || '#ffffff';
+            this.applyDefaults(manifest);
 
             return manifest;
         } catch (error) {
             throw new Error(`Failed to process manifest: ${error.message}`);
         }
     }
+
+    /**
+     * Resolves the relative URLs of a web manifest (icons, start_url, scope and
+     * shortcuts) against the URL it was fetched from, in place. Values that are
+     * not valid URLs are left for the validator to report.
+     */
+    resolveUrls(manifest, manifestUrl) {
+        if (!manifest || typeof manifest !== 'object') return manifest;
+        const resolve = (value) => {
+            if (typeof value !== 'string') return value;
+            try {
+                return new URL(value, manifestUrl).toString();
+            } catch (e) {
+                return value;
+            }
+        };
+        const resolveIcons = (icons) => {
+            if (!Array.isArray(icons)) return;
+            for (const icon of icons) {
+                if (icon && typeof icon === 'object') icon.src = resolve(icon.src);
+            }
+        };
+
+        resolveIcons(manifest.icons);
+        if (manifest.start_url !== undefined) manifest.start_url = resolve(manifest.start_url);
+        if (manifest.scope !== undefined) manifest.scope = resolve(manifest.scope);
+        if (Array.isArray(manifest.shortcuts)) {
+            for (const shortcut of manifest.shortcuts) {
+                if (!shortcut || typeof shortcut !== 'object') continue;
+                shortcut.url = resolve(shortcut.url);
+                resolveIcons(shortcut.icons);
+            }
+        }
+        return manifest;
+    }
+
+    // Ensures essential properties exist. Returns the names of the properties that were defaulted.
+    applyDefaults(manifest) {
+        const defaulted = [];
+        for (const [field, value] of Object.entries(MANIFEST_DEFAULTS)) {
+            if (!manifest[field]) {
+                manifest[field] = value;
+                defaulted.push(field);
+            }
+        }
+        return defaulted;
+    }
 }
 
 module.exports = new ManifestProcessor();
@@ -0,0 +1,130 @@
+const { util } = require('@bubblewrap/core');
+const manifestProcessor = require('./manifestProcessor');
+
+const MIN_ICON_SIZE = 512;
+const SHORT_NAME_MAX_SIZE = 12;
+const HEX_COLOR = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+function isLocalhost(hostname) {
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+}
+
+function isOptionalString(value) {
+    return value === undefined || value === null || typeof value === 'string';
+}
+
+function tryUrl(value, base) {
+    try {
+        return new URL(value, base);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Lints a web manifest before it is turned into a TWA. Errors are problems
+// that would make the build fail or produce a broken app; warnings are
+// problems the build works around.
+class ManifestValidator {
+    /**
+     * Validates a web manifest fetched from `manifestUrl` for the site at `url`.
+     * Returns { valid, errors, warnings, manifest }, where `manifest` is a copy
+     * with the ManifestProcessor defaults filled in. Each issue is
+     * { field, code, message }.
+     *
+     * With `customIcon`, the caller supplies its own icon image, so missing or
+     * undersized manifest icons are not errors.
+     */
+    validate(manifest, manifestUrl, url, { customIcon = false } = {}) {
+        const errors = [];
+        const warnings = [];
+        const error = (field, code, message) => errors.push({ field, code, message });
+        const warning = (field, code, message) => warnings.push({ field, code, message });
+
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            error('manifest', 'invalid_manifest', 'The manifest is not a JSON object.');
+            return { valid: false, errors, warnings, manifest: null };
+        }
+
+        const baseUrl = new URL(manifestUrl);
+        const siteUrl = url ? tryUrl(url) : null;
+        if (baseUrl.protocol !== 'https:' && !isLocalhost(baseUrl.hostname)) {
+            error('manifestUrl', 'insecure_origin', 'Trusted Web Activities require an HTTPS origin.');
+        }
+        if (siteUrl && siteUrl.protocol !== 'https:' && !isLocalhost(siteUrl.hostname)) {
+            error('url', 'insecure_origin', 'Trusted Web Activities require an HTTPS origin.');
+        }
+
+        // Names
+        if (!manifest.name && !manifest.short_name) {
+            error('name', 'missing_name', 'The manifest has neither "name" nor "short_name".');
+        } else if (!manifest.short_name && manifest.name.length > SHORT_NAME_MAX_SIZE) {
+            warning('short_name', 'long_launcher_name', `No "short_name"; the launcher name will be "${manifest.name.substring(0, SHORT_NAME_MAX_SIZE)}".`);
+        } else if (manifest.short_name && manifest.short_name.length > SHORT_NAME_MAX_SIZE) {
+            warning('short_name', 'long_launcher_name', `"short_name" is longer than ${SHORT_NAME_MAX_SIZE} characters and may be truncated on the launcher.`);
+        }
+
+        // Icons
+        // A copy: findSuitableIcon sorts the array it is given.
+        const icons = Array.isArray(manifest.icons) ? [...manifest.icons] : [];
+        if (icons.length === 0) {
+            if (!customIcon) error('icons', 'missing_icons', 'The manifest has no icons.');
+        } else {
+            icons.forEach((icon, index) => {
+                const iconUrl = icon && typeof icon.src === 'string' ? tryUrl(icon.src, baseUrl) : null;
+                if (!iconUrl) {
+                    error(`icons[${index}].src`, 'invalid_icon_url', 'The icon has no valid "src".');
+                } else if (iconUrl.protocol !== 'https:' && !isLocalhost(iconUrl.hostname)) {
+                    warning(`icons[${index}].src`, 'insecure_icon_url', 'The icon is not served over HTTPS.');
+                }
+            });
+            if (!customIcon && !util.findSuitableIcon(icons, 'any', MIN_ICON_SIZE)) {
+                error('icons', 'missing_512_icon', `The manifest needs an icon of at least ${MIN_ICON_SIZE}x${MIN_ICON_SIZE} with purpose "any".`);
+            }
+            if (!customIcon && !util.findSuitableIcon(icons, 'maskable')) {
+                warning('icons', 'missing_maskable_icon', 'No maskable icon; the adaptive icon will be generated from the "any" icon.');
+            }
+        }
+
+        // start_url and scope
+        const startUrl = isOptionalString(manifest.start_url) ? tryUrl(manifest.start_url || '/', baseUrl) : null;
+        const scopeUrl = isOptionalString(manifest.scope) ? tryUrl(manifest.scope || '.', baseUrl) : null;
+        if (!isOptionalString(manifest.start_url)) {
+            error('start_url', 'invalid_start_url', '"start_url" is not a string.');
+        } else if (!startUrl) {
+            error('start_url', 'invalid_start_url', '"start_url" is not a valid URL.');
+        } else if (startUrl.origin !== baseUrl.origin) {
+            error('start_url', 'start_url_cross_origin', `"start_url" resolves to ${startUrl.origin}, not the manifest origin ${baseUrl.origin}.`);
+        } else if (scopeUrl && !startUrl.href.startsWith(scopeUrl.href)) {
+            error('start_url', 'start_url_outside_scope', `"start_url" (${startUrl.pathname}) is outside the manifest scope (${scopeUrl.pathname}).`);
+        }
+        if (!isOptionalString(manifest.scope)) {
+            error('scope', 'invalid_scope', '"scope" is not a string.');
+        } else if (!scopeUrl) {
+            error('scope', 'invalid_scope', '"scope" is not a valid URL.');
+        } else if (scopeUrl.origin !== baseUrl.origin) {
+            error('scope', 'scope_cross_origin', `"scope" resolves to ${scopeUrl.origin}, not the manifest origin ${baseUrl.origin}.`);
+        }
+        if (siteUrl && siteUrl.origin !== baseUrl.origin) {
+            warning('url', 'origin_mismatch', `The app opens ${baseUrl.origin}, which differs from the site URL origin ${siteUrl.origin}.`);
+        }
+
+        // Display and colors
+        if (manifest.display && !['standalone', 'fullscreen'].includes(manifest.display)) {
+            warning('display', 'unsupported_display', `Display mode "${manifest.display}" is not supported; "standalone" will be used.`);
+        }
+        for (const field of ['theme_color', 'background_color']) {
+            if (manifest[field] && !HEX_COLOR.test(manifest[field])) {
+                warning(field, 'non_hex_color', `"${field}" is not a hex color and may not be parsed.`);
+            }
+        }
+
+        const withDefaults = JSON.parse(JSON.stringify(manifest));
+        for (const field of manifestProcessor.applyDefaults(withDefaults)) {
+            warning(field, 'default_applied', `"${field}" is missing; defaults to ${JSON.stringify(withDefaults[field])}.`);
+        }
+
+        return { valid: errors.length === 0, errors, warnings, manifest: withDefaults };
+    }
+}
+
+module.exports = new ManifestValidator();
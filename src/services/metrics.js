@@ -0,0 +1,95 @@
+const database = require('./database');
+const jobQueue = require('./jobQueue');
+
+// Upper bounds, in seconds, of the stage duration histogram buckets.
+const STAGE_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labels(values) {
+    const pairs = Object.entries(values).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Metrics for GET /metrics, rendered in the Prometheus text exposition
+// format. They are read from the database, so they cover the jobs of every
+// worker process and survive restarts.
+class Metrics {
+    // Records how long a job spent in a stage, in milliseconds.
+    async observeStage(jobId, stage, durationMs) {
+        await database.run(
+            "INSERT INTO job_stages (jobId, stage, duration, created) VALUES (?, ?, ?, ?)",
+            [jobId, stage, durationMs, Date.now()]
+        );
+    }
+
+    // Counts finished jobs by outcome. Expired jobs had completed.
+    async jobsFinished() {
+        const rows = await database.all(
+            `SELECT CASE status WHEN 'expired' THEN 'completed' ELSE status END AS outcome, COUNT(*) AS count
+               FROM jobs WHERE status IN ('completed', 'failed', 'cancelled', 'expired') GROUP BY outcome`
+        );
+        return rows.map(({ outcome, count }) => [outcome, count]);
+    }
+
+    // Stage duration histograms: { stage, buckets, sum, count } per stage.
+    async stageDurations() {
+        const bucketColumns = STAGE_BUCKETS.map((bound, index) => `SUM(duration <= ${bound * 1000}) AS b${index}`);
+        const rows = await database.all(
+            `SELECT stage, ${bucketColumns.join(', ')}, SUM(duration) AS sum, COUNT(*) AS count
+               FROM job_stages GROUP BY stage ORDER BY stage`
+        );
+        return rows.map((row) => ({
+            stage: row.stage,
+            buckets: STAGE_BUCKETS.map((bound, index) => row[`b${index}`]),
+            sum: row.sum / 1000,
+            count: row.count
+        }));
+    }
+
+    /**
+     * Renders all metrics. `healthy` is the API's last health check and
+     * `workers` the live worker processes (see services/workerRegistry.js).
+     */
+    async render({ healthy, workers }) {
+        const jobsByStatus = await jobQueue.countByStatus();
+        const jobsFinished = await this.jobsFinished();
+        const stageDurations = await this.stageDurations();
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            samples.forEach(([suffix, labelValues, value]) => lines.push(`${name}${suffix}${labels(labelValues)} ${value}`));
+        };
+
+        metric('bubblewrap_queue_depth', 'gauge', 'Jobs waiting to be processed.',
+            [['', {}, jobsByStatus.pending || 0]]);
+        metric('bubblewrap_jobs', 'gauge', 'Jobs in the database by status.',
+            Object.entries(jobsByStatus).map(([status, count]) => ['', { status }, count]));
+        metric('bubblewrap_active_jobs', 'gauge', 'Jobs being processed by the workers.',
+            [['', {}, jobsByStatus.processing || 0]]);
+        metric('bubblewrap_max_jobs', 'gauge', 'Jobs the live workers process at the same time.',
+            [['', {}, workers.reduce((total, worker) => total + worker.concurrency, 0)]]);
+        metric('bubblewrap_workers', 'gauge', 'Live worker processes, by health.',
+            [true, false].map((workerHealthy) => ['', { healthy: workerHealthy ? 1 : 0 },
+                workers.filter((worker) => Boolean(worker.healthy) === workerHealthy).length]));
+        metric('bubblewrap_healthy', 'gauge', 'Whether the last health check passed (1) or failed (0).',
+            [['', {}, healthy ? 1 : 0]]);
+        metric('bubblewrap_jobs_finished_total', 'counter', 'Jobs finished, by outcome.',
+            jobsFinished.map(([status, count]) => ['', { status }, count]));
+
+        const stageSamples = [];
+        for (const { stage, ...histogram } of stageDurations) {
+            STAGE_BUCKETS.forEach((bound, index) => stageSamples.push(['_bucket', { stage, le: bound }, histogram.buckets[index]]));
+            stageSamples.push(['_bucket', { stage, le: '+Inf' }, histogram.count]);
+            stageSamples.push(['_sum', { stage }, histogram.sum]);
+            stageSamples.push(['_count', { stage }, histogram.count]);
+        }
+        metric('bubblewrap_stage_duration_seconds', 'histogram', 'Time spent by jobs in each stage.', stageSamples);
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = new Metrics();
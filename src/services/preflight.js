@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const database = require('./database');
+const { artifactStorage, keystoreStorage } = require('./storage');
+const { createBubblewrapConfig } = require('./bubblewrapConfig');
+const { AndroidSdkTools, JdkHelper, MockLog } = require('@bubblewrap/core');
+
+const rootDir = path.join(__dirname, '..', '..');
+
+// Directories builds write to, checked for free disk space. The output
+// directory only holds artifacts with the local storage backend.
+const DATA_DIRS = {
+    temp: path.join(rootDir, 'temp'),
+    ...(config.storageBackend === 'local' ? { output: path.join(rootDir, config.outputDir) } : {}),
+    projects: path.join(rootDir, config.projectCacheDir)
+};
+
+function formatBytes(bytes) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+/**
+ * Checks that the build environment works before jobs are accepted: a JDK 17,
+ * the Android SDK with the build-tools Bubblewrap needs, enough free disk
+ * space, a writable SQLite database and usable artifact and keystore
+ * storage. The last result is kept in `this.status`; while any check fails
+ * the service refuses new jobs.
+ */
+class Preflight {
+    constructor() {
+        this.status = null;
+    }
+
+    get healthy() {
+        return Boolean(this.status && this.status.healthy);
+    }
+
+    async checkJdk() {
+        if (!config.jdkPath && !process.env.JDK_HOME) {
+            return { ok: false, message: 'JAVA_HOME is not set.' };
+        }
+        const bubblewrapConfig = createBubblewrapConfig();
+        const valid = await JdkHelper.validatePath(bubblewrapConfig.jdkPath);
+        if (valid.isError()) {
+            return { ok: false, message: `JAVA_HOME does not point to a JDK 17: ${valid.unwrapError().message}` };
+        }
+        try {
+            // `java -version` prints to stderr.
+            const { stdout, stderr } = await new JdkHelper(process, bubblewrapConfig).runJava(['-version']);
+            const version = `${stderr || stdout}`.split('\n')[0].trim();
+            return { ok: true, message: version };
+        } catch (error) {
+            return { ok: false, message: `The JDK could not be run: ${error.message}` };
+        }
+    }
+
+    async checkAndroidSdk() {
+        const bubblewrapConfig = createBubblewrapConfig();
+        if (!bubblewrapConfig.androidSdkPath) {
+            return { ok: false, message: 'ANDROID_HOME is not set.' };
+        }
+        const valid = await AndroidSdkTools.validatePath(bubblewrapConfig.androidSdkPath);
+        if (valid.isError()) {
+            return { ok: false, message: `ANDROID_HOME does not point to an Android SDK: ${valid.unwrapError().message}` };
+        }
+        const jdkHelper = new JdkHelper(process, bubblewrapConfig);
+        const sdkTools = await AndroidSdkTools.create(process, bubblewrapConfig, jdkHelper, new MockLog());
+        if (!(await sdkTools.checkBuildTools())) {
+            return { ok: false, message: 'The Android SDK build-tools version required by Bubblewrap is not installed. Install it with sdkmanager.' };
+        }
+        return { ok: true, message: 'Android SDK and build-tools found.' };
+    }
+
+    async checkDiskSpace() {
+        const free = {};
+        for (const [name, dir] of Object.entries(DATA_DIRS)) {
+            fs.mkdirSync(dir, { recursive: true });
+            const stats = await fs.promises.statfs(dir);
+            free[name] = stats.bavail * stats.bsize;
+        }
+        const low = Object.entries(free).filter(([, bytes]) => bytes < config.minFreeDiskSpace);
+        const summary = Object.entries(free).map(([name, bytes]) => `${name}: ${formatBytes(bytes)}`).join(', ');
+        return {
+            ok: low.length === 0,
+            message: low.length === 0
+                ? `Free space ${summary}.`
+                : `Less than ${formatBytes(config.minFreeDiskSpace)} free in ${low.map(([name]) => name).join(', ')} (${summary}).`,
+            free
+        };
+    }
+
+    async checkDatabase() {
+        await database.run(
+            "INSERT INTO health_checks (id, checked) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET checked = excluded.checked",
+            [Date.now()]
+        );
+        return { ok: true, message: 'SQLite database is writable.' };
+    }
+
+    async checkStorage() {
+        await artifactStorage.check();
+        await keystoreStorage.check();
+        return { ok: true, message: `Artifacts in ${artifactStorage.description}, keystores in ${keystoreStorage.description}.` };
+    }
+
+    // Runs every check and stores the result, e.g. { healthy, checked, checks: { jdk: { ok, message } } }.
+    async run() {
+        const checks = {};
+        const runners = {
+            jdk: () => this.checkJdk(),
+            androidSdk: () => this.checkAndroidSdk(),
+            disk: () => this.checkDiskSpace(),
+            database: () => this.checkDatabase(),
+            storage: () => this.checkStorage()
+        };
+        for (const [name, runCheck] of Object.entries(runners)) {
+            try {
+                checks[name] = await runCheck();
+            } catch (error) {
+                checks[name] = { ok: false, message: error.message };
+            }
+        }
+        this.status = {
+            healthy: Object.values(checks).every((check) => check.ok),
+            checked: Date.now(),
+            checks
+        };
+        return this.status;
+    }
+
+    // Failed checks of the last run, as { name: message }.
+    failures() {
+        if (!this.status) return {};
+        return Object.fromEntries(
+            Object.entries(this.status.checks)
+                .filter(([, check]) => !check.ok)
+                .map(([name, check]) => [name, check.message])
+        );
+    }
+
+    /**
+     * Re-runs the checks every HEALTH_CHECK_INTERVAL ms, logging changes.
+     * `onRecover` is called when the environment becomes healthy again.
+     */
+    start(onRecover) {
+        setInterval(() => {
+            const wasHealthy = this.healthy;
+            this.run()
+                .then(() => {
+                    if (wasHealthy && !this.healthy) {
+                        console.error('Health check failed; new jobs are refused:', this.failures());
+                    } else if (!wasHealthy && this.healthy) {
+                        console.log('Health check passed; accepting jobs again.');
+                        if (onRecover) onRecover();
+                    }
+                })
+                .catch((error) => console.error('Health check error:', error));
+        }, config.healthCheckInterval).unref();
+    }
+}
+
+module.exports = new Preflight();
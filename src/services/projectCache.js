@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const cacheRoot = path.join(__dirname, '..', '..', config.projectCacheDir);
+const STATE_FILE = '.project-cache.json';
+const LOCK_POLL_INTERVAL = 2000;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// Generated TWA projects are kept per domain, so rebuilds reuse the project
+// and Gradle's incremental build outputs. A project is only regenerated when
+// its inputs (twa-manifest and icon images) change; version bumps are
+// patched in place. Builds of one domain are serialized with a lock file.
+class ProjectCache {
+    getProjectDir(domain) {
+        return path.join(cacheRoot, domain);
+    }
+
+    /**
+     * Fingerprints the inputs of a project: the twa-manifest JSON, without
+     * the version fields, and the contents of the icon source images.
+     */
+    fingerprint(twaManifestJson, iconPaths) {
+        const { appVersionCode, appVersionName, appVersion, ...inputs } = twaManifestJson;
+        const icons = iconPaths.filter(Boolean).map((iconPath) => sha256(fs.readFileSync(iconPath)));
+        return sha256(JSON.stringify({ inputs, icons }));
+    }
+
+    // Returns { fingerprint, generated } for a fully generated project, or null.
+    readState(domain) {
+        const statePath = path.join(this.getProjectDir(domain), STATE_FILE);
+        if (!fs.existsSync(statePath)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeState(domain, fingerprint) {
+        fs.writeFileSync(
+            path.join(this.getProjectDir(domain), STATE_FILE),
+            JSON.stringify({ fingerprint, generated: Date.now() })
+        );
+    }
+
+    // Forgets the fingerprint, so a project left half-generated is never reused.
+    clearState(domain) {
+        fs.rmSync(path.join(this.getProjectDir(domain), STATE_FILE), { force: true });
+    }
+
+    // Updates versionCode and versionName in app/build.gradle of a cached project.
+    setVersion(domain, appVersionCode, appVersionName) {
+        const buildGradlePath = path.join(this.getProjectDir(domain), 'app', 'build.gradle');
+        const buildGradle = fs.readFileSync(buildGradlePath, 'utf8')
+            .replace(/versionCode \d+/, `versionCode ${appVersionCode}`)
+            .replace(/versionName ".*"/, `versionName ${JSON.stringify(String(appVersionName))}`);
+        fs.writeFileSync(buildGradlePath, buildGradle);
+    }
+
+    // Removes the outputs of the previous build, so stale packages are never shipped.
+    clearBuildOutputs(domain) {
+        fs.rmSync(path.join(this.getProjectDir(domain), 'app', 'build', 'outputs'), { recursive: true, force: true });
+    }
+
+    /**
+     * Takes the lock of a domain's project, waiting while another build holds
+     * it (or resolving to null at once with `wait: false`). Locks of dead
+     * processes, or older than twice JOB_TIMEOUT, are broken.
+     * Resolves to a function that releases the lock.
+     */
+    async lock(domain, { signal, onWait, wait = true } = {}) {
+        fs.mkdirSync(cacheRoot, { recursive: true });
+        const lockPath = path.join(cacheRoot, `${domain}.lock`);
+        let waiting = false;
+
+        for (;;) {
+            try {
+                fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+                return () => fs.rmSync(lockPath, { force: true });
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            if (this.isStale(lockPath)) {
+                fs.rmSync(lockPath, { force: true });
+                continue;
+            }
+            if (!wait) return null;
+            if (signal && signal.aborted) throw signal.reason;
+            if (!waiting && onWait) onWait();
+            waiting = true;
+            await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL));
+        }
+    }
+
+    isStale(lockPath) {
+        try {
+            const pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+            const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+            return !isProcessAlive(pid) || age > config.command_timeout * 2;
+        } catch (error) {
+            // The lock was released in the meantime.
+            return false;
+        }
+    }
+
+    async withLock(domain, options, fn) {
+        const release = await this.lock(domain, options);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Deletes a domain's cached project. Resolves to "purged", "not_found",
+     * or "busy" when a build of the domain is running.
+     */
+    async purge(domain) {
+        const release = await this.lock(domain, { wait: false });
+        if (!release) return 'busy';
+        try {
+            const projectDir = this.getProjectDir(domain);
+            if (!fs.existsSync(projectDir)) return 'not_found';
+            await fs.promises.rm(projectDir, { recursive: true, force: true });
+            return 'purged';
+        } finally {
+            release();
+        }
+    }
+}
+
+module.exports = new ProjectCache();
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const archiver = require('archiver');
+
+// Directories left out of exported projects: Gradle caches and build outputs.
+const EXCLUDED_DIRS = ['.gradle', '**/build', '.idea'];
+
+// Files left out of exported projects: signing keys, machine-specific
+// settings and the service's own bookkeeping.
+const EXCLUDED_FILES = [
+    '**/*.jks', '**/*.keystore', '**/*.p12', '**/*.pfx',
+    'local.properties', '.project-cache.json',
+    'icon-source', 'icon-maskable-source'
+];
+
+// Packages a generated TWA project as a zip that builds on its own with
+// `./gradlew assembleRelease` or `bubblewrap build`. Its twa-manifest.json
+// points at the web manifest's icons: when Bubblewrap regenerates the
+// project, it downloads those rather than an icon uploaded with the job.
+class ProjectExport {
+    /**
+     * Writes the project in `projectDir` to `outputPath`, under a top-level
+     * folder named `folder`. twa-manifest.json is included; keystores,
+     * build outputs and local paths are not.
+     */
+    async writeZip(projectDir, outputPath, folder) {
+        const output = fs.createWriteStream(outputPath);
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        const done = new Promise((resolve, reject) => {
+            archive.on('error', reject);
+            output.on('error', reject);
+            output.on('close', resolve);
+        });
+        archive.pipe(output);
+        archive.glob('**/*', { cwd: projectDir, dot: true, skip: EXCLUDED_DIRS, ignore: EXCLUDED_FILES }, { prefix: folder });
+        await archive.finalize();
+        await done;
+    }
+}
+
+module.exports = new ProjectExport();
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const jobQueue = require('./jobQueue');
+const artifacts = require('./artifacts');
+const { cleanupOldFiles } = require('../utils/cleanup');
+
+const tempDir = path.join(__dirname, '..', '..', 'temp');
+const uploadDir = path.join(__dirname, '..', '..', config.uploadDir);
+
+// Entries of a directory last modified before `cutoff`.
+function entriesOlderThan(dir, cutoff) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .map((name) => path.join(dir, name))
+        .filter((entry) => fs.statSync(entry).mtimeMs < cutoff);
+}
+
+// Deletes stored build artifacts, temp directories and uploaded icons
+// older than ARTIFACT_RETENTION_HOURS, and marks their jobs "expired".
+// Icons of jobs that are still queued or running are kept.
+class Retention {
+    async sweep() {
+        const cutoff = Date.now() - config.artifactRetention;
+        let removed = 0;
+
+        const expired = await jobQueue.expireCompleted(cutoff);
+        for (const job of expired) {
+            for (const filename of Object.values(JSON.parse(job.files || '{}'))) {
+                if (await artifacts.exists(filename)) {
+                    await artifacts.remove(filename);
+                    removed++;
+                }
+            }
+            console.log(`[Job ${job.jobId}] Artifacts expired.`);
+        }
+
+        // Files no job refers to any more, e.g. from before artifacts expired.
+        for (const object of await artifacts.storage.list()) {
+            if (object.modified < cutoff) {
+                await artifacts.remove(object.name);
+                removed++;
+            }
+        }
+        for (const projectDir of entriesOlderThan(tempDir, cutoff)) {
+            await cleanupOldFiles(projectDir);
+            removed++;
+        }
+        // A job can wait in the queue for longer than the retention period;
+        // its upload is kept until it has run.
+        const activeUploads = new Set((await jobQueue.listActiveUploads()).map((upload) => path.resolve(upload)));
+        for (const upload of entriesOlderThan(uploadDir, cutoff)) {
+            if (activeUploads.has(path.resolve(upload))) continue;
+            fs.rmSync(upload, { force: true });
+            removed++;
+        }
+
+        return { expiredJobs: expired.length, removed };
+    }
+
+    // Sweeps now and then every RETENTION_SWEEP_INTERVAL ms.
+    start() {
+        const run = () => this.sweep()
+            .then(({ expiredJobs, removed }) => {
+                if (expiredJobs || removed) {
+                    console.log(`Retention sweep: ${expiredJobs} job(s) expired, ${removed} file(s) removed.`);
+                }
+            })
+            .catch((error) => console.error('Retention sweep failed:', error));
+        run();
+        setInterval(run, config.retentionSweepInterval).unref();
+    }
+}
+
+module.exports = new Retention();
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+function isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey'
+        || (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * Storage backend keeping objects in a bucket of an S3-compatible object
+ * store: AWS S3, or MinIO and the like through `endpoint` with
+ * `forcePathStyle`. Object names are prefixed with `prefix`.
+ */
+class S3Storage {
+    constructor({ bucket, prefix = '', endpoint, region, accessKeyId, secretAccessKey, forcePathStyle = false, private: isPrivate = false }) {
+        this.bucket = bucket;
+        this.prefix = prefix;
+        this.private = isPrivate;
+        this.client = new S3Client({
+            region,
+            endpoint: endpoint || undefined,
+            forcePathStyle,
+            // Without explicit keys the SDK's default chain is used (environment, instance role, ...).
+            credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+        });
+    }
+
+    get description() {
+        return `bucket ${this.bucket}${this.prefix ? ` (prefix ${this.prefix})` : ''}`;
+    }
+
+    key(name) {
+        return `${this.prefix}${path.basename(name)}`;
+    }
+
+    async put(name, filePath) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.key(name),
+            Body: fs.createReadStream(filePath),
+            ContentLength: fs.statSync(filePath).size
+        }));
+    }
+
+    async get(name, destination) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.key(name) }));
+        await pipeline(Body, fs.createWriteStream(destination, { mode: this.private ? 0o600 : 0o644 }));
+    }
+
+    async createReadStream(name) {
+        const { Body } = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.key(name) }));
+        return Body;
+    }
+
+    async stat(name) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.key(name) }));
+            return { size: head.ContentLength, modified: head.LastModified.getTime() };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async delete(name) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.key(name) }));
+    }
+
+    async list() {
+        const entries = [];
+        let ContinuationToken;
+        do {
+            const page = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.prefix || undefined,
+                ContinuationToken
+            }));
+            for (const object of page.Contents || []) {
+                entries.push({ name: object.Key.slice(this.prefix.length), size: object.Size, modified: object.LastModified.getTime() });
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return entries;
+    }
+
+    /**
+     * Returns a presigned GET URL for the object, valid for `expiresIn`
+     * seconds, that makes browsers save it as `filename`.
+     */
+    async presign(name, { expiresIn, filename }) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.key(name),
+            ResponseContentDisposition: `attachment; filename="${path.basename(filename || name)}"`
+        });
+        return getSignedUrl(this.client, command, { expiresIn });
+    }
+
+    // Throws unless the bucket exists and the credentials can reach it.
+    async check() {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    }
+}
+
+module.exports = { S3Storage };
@@ -0,0 +1,59 @@
+const path = require('path');
+const config = require('../config/config');
+const { LocalStorage } = require('./localStorage');
+
+const rootDir = path.join(__dirname, '..', '..');
+
+/**
+ * Where build artifacts and keystores are kept. Both stores implement the
+ * same interface (see localStorage.js and s3Storage.js):
+ *
+ *   put(name, filePath)          store a local file
+ *   get(name, destination)       copy an object to a local file
+ *   createReadStream(name)       resolve to a readable stream of an object
+ *   stat(name)                   resolve to { size, modified } or null
+ *   delete(name)                 remove an object
+ *   list()                       resolve to [{ name, size, modified }]
+ *   presign(name, options)       resolve to a presigned download URL, or null
+ *   check()                      throw unless the store is usable
+ *
+ * STORAGE_BACKEND selects "local" (OUTPUT_DIR) or "s3" (S3_BUCKET) for
+ * artifacts; KEYSTORE_STORAGE_BACKEND does the same for keystores, which go
+ * to KEYSTORE_DIR or the private KEYSTORE_S3_BUCKET.
+ */
+function createStorage(backend, { dir, bucket, private: isPrivate = false }) {
+    if (backend === 'local') {
+        return new LocalStorage({ dir: path.resolve(rootDir, dir), private: isPrivate });
+    }
+    if (backend === 's3') {
+        if (!bucket) {
+            throw new Error('The s3 storage backend needs a bucket: set S3_BUCKET (artifacts) or KEYSTORE_S3_BUCKET (keystores).');
+        }
+        // Only deployments using S3 load the AWS SDK.
+        const { S3Storage } = require('./s3Storage');
+        return new S3Storage({
+            bucket,
+            prefix: config.s3Prefix,
+            endpoint: config.s3Endpoint,
+            region: config.s3Region,
+            accessKeyId: config.s3AccessKeyId,
+            secretAccessKey: config.s3SecretAccessKey,
+            forcePathStyle: config.s3ForcePathStyle,
+            private: isPrivate
+        });
+    }
+    throw new Error(`Unknown storage backend "${backend}"; expected "local" or "s3".`);
+}
+
+const artifactStorage = createStorage(config.storageBackend, { dir: config.outputDir, bucket: config.s3Bucket });
+const keystoreStorage = createStorage(config.keystoreStorageBackend, {
+    dir: config.keystoreDir,
+    bucket: config.keystoreS3Bucket,
+    private: true
+});
+
+if (config.keystoreStorageBackend === 's3' && config.storageBackend === 's3' && config.keystoreS3Bucket === config.s3Bucket) {
+    throw new Error('KEYSTORE_S3_BUCKET must not be the artifact bucket S3_BUCKET: keystores need a private bucket.');
+}
+
+module.exports = { artifactStorage, keystoreStorage, createStorage };
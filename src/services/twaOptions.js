@@ -0,0 +1,202 @@
+const { TwaManifest, DisplayModes, Orientations, util } = require('@bubblewrap/core');
+const { validateObject } = require('../utils/validate');
+const { LOCAL_ICON_URL } = require('./localIconTwaGenerator');
+
+const shortcutSchema = {
+    name: { type: 'string', required: true },
+    shortName: { type: 'string' },
+    url: { type: 'string', required: true },
+    icon: { type: 'string', required: true }
+};
+
+// Trusted origins are given as hosts ("auth.example.com") or https origins.
+function toTrustedHost(value) {
+    try {
+        const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+        if (url.protocol !== 'https:' || url.username || url.password || url.pathname !== '/' || url.search || url.hash) {
+            return null;
+        }
+        return url.host;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The web manifest "share_target" member, mapped by Bubblewrap to Android intent filters.
+const shareTargetSchema = {
+    action: { type: 'string', required: true },
+    method: { type: 'string', enum: ['GET', 'POST'] },
+    enctype: { type: 'string', enum: ['application/x-www-form-urlencoded', 'multipart/form-data'] },
+    params: {
+        type: 'object',
+        required: true,
+        properties: {
+            title: { type: 'string' },
+            text: { type: 'string' },
+            url: { type: 'string' },
+            files: {
+                type: 'array',
+                maxItems: 10,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', required: true },
+                        accept: { type: 'array', items: { type: 'string' }, required: true }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Options accepted in the "twa" object of POST /convert. Names follow the
+// TwaManifest fields they override.
+const twaSchema = {
+    packageId: { type: 'string', check: (value) => util.validatePackageId(value) },
+    name: { type: 'string' },
+    launcherName: { type: 'string' },
+    appVersionCode: { type: 'integer', min: 1, max: 2100000000 },
+    appVersionName: { type: 'string' },
+    themeColor: { type: 'color' },
+    themeColorDark: { type: 'color' },
+    navigationColor: { type: 'color' },
+    navigationColorDark: { type: 'color' },
+    navigationDividerColor: { type: 'color' },
+    navigationDividerColorDark: { type: 'color' },
+    backgroundColor: { type: 'color' },
+    splashScreenFadeOutDuration: { type: 'integer', min: 0, max: 10000 },
+    orientation: { type: 'string', enum: Orientations },
+    display: { type: 'string', enum: DisplayModes },
+    fallbackType: { type: 'string', enum: ['customtabs', 'webview'] },
+    enableSiteSettingsShortcut: { type: 'boolean' },
+    shortcuts: { type: 'array', maxItems: 4, items: { type: 'object', properties: shortcutSchema } },
+    additionalTrustedOrigins: {
+        type: 'array',
+        maxItems: 20,
+        items: {
+            type: 'string',
+            check: (value) => (toTrustedHost(value) ? null : 'Must be a host or an https origin, without a path.')
+        }
+    },
+    enableNotifications: { type: 'boolean' },
+    locationDelegation: { type: 'boolean' },
+    playBilling: { type: 'boolean' },
+    shareTarget: {
+        type: 'object',
+        properties: shareTargetSchema,
+        check: (value) => (value.method === 'POST' || !(value.params && value.params.files)
+            ? null
+            : 'Sharing files requires method POST.')
+    }
+};
+
+// TwaManifest.validate() reports "<field> cannot be empty"; the request
+// field that sets (or, for the manifest's fields, can override) each one.
+const VALIDATED_FIELDS = { host: 'manifestUrl', name: 'twa.name', startUrl: 'manifestUrl', iconUrl: 'manifestUrl' };
+
+// An option (or manifest field) that only turns out to be invalid once applied
+// to the web manifest. `field` and `expectedType` are reported like request
+// validation errors.
+function fieldError(field, expectedType, message) {
+    const error = new Error(message);
+    error.field = field;
+    error.expectedType = expectedType;
+    return error;
+}
+
+function resolveUrl(value, base, field) {
+    try {
+        return new URL(value, base).toString();
+    } catch (e) {
+        throw fieldError(field, 'URL', `Invalid TWA options: ${field} is not a valid URL.`);
+    }
+}
+
+class TwaOptions {
+    /**
+     * Validates the "twa" request option. Returns a list of field errors in the
+     * same format as the /convert "missingParams" details.
+     */
+    validate(options) {
+        if (options === undefined) return [];
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return [{ field: 'twa', expectedType: 'object' }];
+        }
+        return validateObject(options, twaSchema, 'twa');
+    }
+
+    /**
+     * Applies validated options on top of a TwaManifest and returns the new manifest.
+     * Relative shortcut URLs and icons are resolved against the web manifest URL.
+     * The result is checked with TwaManifest.validate(); with `customIcon`
+     * (an uploaded icon) the web manifest needs no icon. Options, or manifest
+     * fields, that are invalid throw an error with the `field` and
+     * `expectedType` to report, also when a job is submitted.
+     */
+    apply(twaManifest, options, manifestUrl, { customIcon = false } = {}) {
+        if (!options || Object.keys(options).length === 0) {
+            this.check(twaManifest, { customIcon });
+            return twaManifest;
+        }
+
+        const {
+            appVersionName, shortcuts, additionalTrustedOrigins, locationDelegation, playBilling, shareTarget, ...fields
+        } = options;
+        const json = { ...twaManifest.toJson(), ...fields };
+
+        if (appVersionName !== undefined) {
+            json.appVersion = appVersionName;
+        }
+        if (shortcuts !== undefined) {
+            json.shortcuts = shortcuts.map((shortcut, index) => ({
+                name: shortcut.name,
+                shortName: shortcut.shortName || shortcut.name,
+                url: resolveUrl(shortcut.url, manifestUrl, `twa.shortcuts[${index}].url`),
+                chosenIconUrl: resolveUrl(shortcut.icon, manifestUrl, `twa.shortcuts[${index}].icon`)
+            }));
+        }
+
+        if (additionalTrustedOrigins !== undefined) {
+            json.additionalTrustedOrigins = [...new Set(additionalTrustedOrigins.map(toTrustedHost))]
+                .filter((host) => host !== json.host);
+        }
+        if (locationDelegation !== undefined) {
+            json.features = { ...json.features, locationDelegation: { enabled: locationDelegation } };
+        }
+        if (playBilling !== undefined) {
+            json.features = { ...json.features, playBilling: { enabled: playBilling } };
+            // Bubblewrap only adds the Play Billing library with the alpha androidbrowserhelper.
+            if (playBilling) json.alphaDependencies = { enabled: true };
+        }
+        if (shareTarget !== undefined) {
+            const action = resolveUrl(shareTarget.action, manifestUrl, 'twa.shareTarget.action');
+            json.shareTarget = TwaManifest.verifyShareTarget(manifestUrl, { ...shareTarget, action });
+            const trustedHosts = [json.host, ...(json.additionalTrustedOrigins || [])];
+            if (!trustedHosts.includes(new URL(action).host)) {
+                throw fieldError(
+                    'twa.shareTarget.action',
+                    'URL',
+                    'Invalid TWA options: shareTarget.action must be on the app\'s origin or one of its additionalTrustedOrigins.'
+                );
+            }
+        }
+
+        const customized = new TwaManifest(json);
+        this.check(customized, { customIcon });
+        return customized;
+    }
+
+    // Throws what TwaManifest.validate() rejects, as a fieldError.
+    check(twaManifest, { customIcon = false } = {}) {
+        const checked = customIcon && !twaManifest.iconUrl
+            ? new TwaManifest({ ...twaManifest.toJson(), iconUrl: LOCAL_ICON_URL })
+            : twaManifest;
+        const error = checked.validate();
+        if (error) {
+            const field = VALIDATED_FIELDS[error.split(' ')[0]] || 'twa';
+            throw fieldError(field, 'string', `Invalid TWA manifest: ${error}.`);
+        }
+    }
+}
+
+module.exports = new TwaOptions();
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const database = require('./database');
+const config = require('../config/config');
+const { robustFetch } = require('./fetch');
+const { decryptSecret } = require('../utils/secrets');
+
+// Notifies a job's callbackUrl when the job finishes, retrying with
+// exponential backoff. Every attempt is recorded in webhook_deliveries.
+class Webhooks {
+    /**
+     * Signs a webhook body. Receivers recompute
+     * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it with the
+     * X-Webhook-Signature header ("sha256=<hex>").
+     */
+    sign(body, timestamp, secret) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    buildPayload(job) {
+        return {
+            event: `job.${job.status}`,
+            jobId: job.jobId,
+            status: job.status,
+            files: job.files ? JSON.parse(job.files) : null,
+            artifacts: job.artifacts ? JSON.parse(job.artifacts) : null,
+            error: job.error,
+            failedStage: job.failedStage,
+            finished: job.finished
+        };
+    }
+
+    /**
+     * Delivers the webhook for a finished job, if it has a callbackUrl.
+     * Resolves to true when the receiver accepted it.
+     */
+    async deliver(jobId) {
+        const job = await database.get("SELECT * FROM jobs WHERE jobId = ?", [jobId]);
+        if (!job) return false;
+
+        const { callbackUrl, callbackSecret } = JSON.parse(job.payload || '{}');
+        if (!callbackUrl) return false;
+
+        const payload = this.buildPayload(job);
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const secret = callbackSecret ? decryptSecret(callbackSecret) : config.webhookSecret;
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'NodeBubblewrap-Webhook',
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (secret) {
+            headers['X-Webhook-Signature'] = this.sign(body, timestamp, secret);
+        }
+
+        await database.run("UPDATE jobs SET webhookStatus = 'pending' WHERE jobId = ?", [jobId]);
+
+        const recordAttempt = (attempt, response, error) => database.run(
+            "INSERT INTO webhook_deliveries (jobId, url, event, attempt, responseStatus, error, created) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [jobId, callbackUrl, payload.event, attempt, response ? response.status : null, error ? error.message : null, Date.now()]
+        );
+
+        try {
+            await robustFetch(
+                callbackUrl,
+                { method: 'POST', headers, body },
+                config.webhookRetries,
+                { delay: 1000, factor: 2, timeout: config.webhookTimeout, onAttempt: recordAttempt }
+            );
+            await database.run("UPDATE jobs SET webhookStatus = 'delivered' WHERE jobId = ?", [jobId]);
+            console.log(`[Job ${jobId}] Webhook delivered to ${callbackUrl}.`);
+            return true;
+        } catch (error) {
+            await database.run("UPDATE jobs SET webhookStatus = 'failed' WHERE jobId = ?", [jobId]);
+            console.error(`[Job ${jobId}] Webhook delivery to ${callbackUrl} failed:`, error.message);
+            return false;
+        }
+    }
+
+    async listDeliveries(jobId) {
+        return database.all(
+            "SELECT id, url, event, attempt, responseStatus, error, created FROM webhook_deliveries WHERE jobId = ? ORDER BY id",
+            [jobId]
+        );
+    }
+}
+
+module.exports = new Webhooks();
@@ -0,0 +1,214 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const jobQueue = require('./jobQueue');
+const projectCache = require('./projectCache');
+const webhooks = require('./webhooks');
+const preflight = require('./preflight');
+const workerRegistry = require('./workerRegistry');
+const { processConversionJob } = require('./conversion');
+const { JobLogger } = require('./jobLogger');
+const { sanitizeMessage } = require('../utils/sanitize');
+
+// How often a running job checks whether it was cancelled from the API.
+const CANCEL_POLL_INTERVAL = 2000;
+
+function jobAbortError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+// A build worker: claims pending jobs from the shared "jobs" table and runs
+// up to WORKER_CONCURRENCY of them at a time. Claimed jobs are leased for
+// JOB_LEASE_DURATION ms and the lease is renewed on every heartbeat, so
+// jobs of a worker that died are recovered by the others once it runs out.
+// Any number of workers can share one database.
+class Worker {
+    constructor() {
+        this.id = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+        this.concurrency = config.workerConcurrency;
+        // Jobs running in this process, by jobId: { controller, done }.
+        this.running = new Map();
+        this.claiming = false;
+        this.stopping = false;
+        this.pollTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    async start() {
+        await workerRegistry.register({
+            id: this.id,
+            hostname: os.hostname(),
+            pid: process.pid,
+            concurrency: this.concurrency
+        });
+        await this.heartbeat();
+
+        this.pollTimer = setInterval(() => this.poll(), config.workerPollInterval);
+        this.heartbeatTimer = setInterval(() => {
+            this.heartbeat().catch((error) => console.error('Worker heartbeat failed:', error));
+        }, Math.floor(config.jobLeaseDuration / 3));
+        this.poll();
+    }
+
+    // Claims pending jobs while there are free slots. Nothing is claimed
+    // while the preflight checks fail or the worker is shutting down.
+    async poll() {
+        if (this.claiming) return;
+        this.claiming = true;
+        try {
+            while (!this.stopping && preflight.healthy && this.running.size < this.concurrency) {
+                const job = await jobQueue.claimNext(this.id, config.jobLeaseDuration);
+                if (!job) break;
+                this.run(job);
+            }
+        } catch (error) {
+            console.error("Error claiming next job:", error);
+        } finally {
+            this.claiming = false;
+        }
+    }
+
+    run(job) {
+        // The job is aborted when it is cancelled, runs longer than
+        // config.command_timeout, loses its lease or the worker shuts down.
+        const controller = new AbortController();
+        const timeout = setTimeout(() => {
+            controller.abort(jobAbortError('JOB_TIMEOUT', `Build timed out after ${Math.round(config.command_timeout / 1000)} seconds.`));
+        }, config.command_timeout);
+        const cancelPoll = setInterval(() => {
+            jobQueue.isCancelRequested(job.jobId)
+                .then((requested) => {
+                    if (requested) controller.abort(jobAbortError('JOB_CANCELLED', 'Job was cancelled.'));
+                })
+                .catch((error) => console.error(`[Job ${job.jobId}] Error checking for cancellation:`, error));
+        }, CANCEL_POLL_INTERVAL);
+
+        const log = new JobLogger(job.jobId, { signal: controller.signal });
+        log.info(`Claimed by worker ${this.id} (attempt ${job.attempts}).`);
+
+        // Builds of the same domain share a cached project, so they take its
+        // lock and run one at a time, also across worker processes.
+        const lockOptions = {
+            signal: controller.signal,
+            onWait: () => log.info(`Waiting for another build of ${new URL(job.url).hostname} to finish...`)
+        };
+        const done = projectCache.withLock(new URL(job.url).hostname, lockOptions, () =>
+            processConversionJob({ ...job, manifestUrl: job.manifestUrl ? new URL(job.manifestUrl) : undefined }, log)
+        )
+            .then(async ({ files, artifacts: artifactInfo }) => {
+                // A cancellation that arrived after the last checkpoint still wins.
+                log.throwIfAborted();
+                await jobQueue.complete(job.jobId, files, artifactInfo);
+                return true;
+            })
+            .catch(async (error) => {
+                if (error.code === 'JOB_LEASE_LOST') {
+                    // Another worker recovered the job; it owns the status now.
+                    log.warn(`Lease lost during stage '${log.stage}'; stopped.`);
+                    return false;
+                }
+                if (error.code === 'JOB_INTERRUPTED' && !(await jobQueue.isCancelRequested(job.jobId))) {
+                    log.warn(`Interrupted by worker shutdown during stage '${log.stage}'; requeued.`);
+                    await jobQueue.requeue(job.jobId, this.id);
+                    return false;
+                }
+                if (error.code === 'JOB_CANCELLED' || error.code === 'JOB_INTERRUPTED') {
+                    log.warn(`Cancelled during stage '${log.stage}'.`);
+                    await jobQueue.markCancelled(job.jobId, log.stage);
+                    return true;
+                }
+                // Handle errors during job processing. The stored message is sanitized,
+                // since it is returned to the client.
+                log.error(`Failed during stage '${log.stage}':`, error.stack || error.message);
+                await jobQueue.fail(job.jobId, sanitizeMessage(error.message), log.stage);
+                return true;
+            })
+            .then((finished) => {
+                // Notify the client in the background; retries must not hold the job slot.
+                if (finished && job.callbackUrl) {
+                    webhooks.deliver(job.jobId).catch((error) => console.error(`[Job ${job.jobId}] Webhook error:`, error));
+                }
+            })
+            .catch((error) => console.error(`Error updating job ${job.jobId}:`, error))
+            .finally(() => {
+                log.endStage();
+                clearTimeout(timeout);
+                clearInterval(cancelPoll);
+                // Free the slot and pick up the next waiting job.
+                this.running.delete(job.jobId);
+                this.poll();
+            });
+
+        this.running.set(job.jobId, { controller, done });
+    }
+
+    // Renews the leases of the running jobs, aborting those another worker
+    // recovered in the meantime, and reports this worker as alive.
+    async heartbeat() {
+        const jobIds = [...this.running.keys()];
+        const held = await jobQueue.renewLeases(this.id, jobIds, config.jobLeaseDuration);
+        for (const jobId of jobIds) {
+            const entry = this.running.get(jobId);
+            if (entry && !held.includes(jobId)) {
+                entry.controller.abort(jobAbortError('JOB_LEASE_LOST', 'The job lease expired.'));
+            }
+        }
+
+        await workerRegistry.heartbeat(this.id, { activeJobs: this.running.size, healthy: preflight.healthy });
+
+        // Requeue (or fail) jobs whose worker stopped renewing their lease.
+        const { requeued, finished } = await jobQueue.recoverExpired(config.maxJobAttempts);
+        if (requeued) {
+            console.log(`Recovered jobs with an expired lease: ${requeued} requeued.`);
+        }
+        for (const job of finished) {
+            const log = new JobLogger(job.jobId);
+            if (job.status === 'cancelled') {
+                log.warn(`Lease expired during stage '${job.stage}'; cancelled.`);
+            } else {
+                log.error(`Lease expired during stage '${job.stage}'; failed after too many interruptions.`);
+            }
+            // Notified like the jobs this worker finishes itself.
+            if (job.callbackUrl) {
+                webhooks.deliver(job.jobId).catch((error) => console.error(`[Job ${job.jobId}] Webhook error:`, error));
+            }
+        }
+        await workerRegistry.prune();
+    }
+
+    /**
+     * Stops claiming jobs and waits up to SHUTDOWN_TIMEOUT ms for the running
+     * ones to finish. Jobs still running after that are aborted and put back
+     * in the queue for another worker.
+     */
+    async stop() {
+        if (this.stopping) return;
+        this.stopping = true;
+        clearInterval(this.pollTimer);
+
+        const settled = () => Promise.all([...this.running.values()].map(({ done }) => done));
+        if (this.running.size > 0) {
+            console.log(`Waiting up to ${Math.round(config.shutdownTimeout / 1000)}s for ${this.running.size} running job(s)...`);
+            let timer;
+            const timedOut = await Promise.race([
+                settled().then(() => false),
+                new Promise((resolve) => { timer = setTimeout(() => resolve(true), config.shutdownTimeout); })
+            ]);
+            clearTimeout(timer);
+            if (timedOut) {
+                for (const { controller } of this.running.values()) {
+                    controller.abort(jobAbortError('JOB_INTERRUPTED', 'The worker shut down.'));
+                }
+                await settled();
+            }
+        }
+
+        // Leases are renewed until the last job is settled.
+        clearInterval(this.heartbeatTimer);
+        await workerRegistry.unregister(this.id);
+    }
+}
+
+module.exports = new Worker();
@@ -0,0 +1,43 @@
+const database = require('./database');
+
+// Worker rows whose last heartbeat is older than this are deleted.
+const FORGET_AFTER = 24 * 60 * 60 * 1000;
+
+// Worker processes announce themselves in the "workers" table and refresh
+// their row on every heartbeat, so the API can report on them.
+class WorkerRegistry {
+    async register({ id, hostname, pid, concurrency }) {
+        const now = Date.now();
+        await database.run(
+            `INSERT INTO workers (id, hostname, pid, concurrency, activeJobs, healthy, started, heartbeat)
+             VALUES (?, ?, ?, ?, 0, 0, ?, ?)`,
+            [id, hostname, pid, concurrency, now, now]
+        );
+    }
+
+    async heartbeat(id, { activeJobs, healthy }) {
+        await database.run(
+            "UPDATE workers SET activeJobs = ?, healthy = ?, heartbeat = ? WHERE id = ?",
+            [activeJobs, healthy ? 1 : 0, Date.now(), id]
+        );
+    }
+
+    async unregister(id) {
+        await database.run("DELETE FROM workers WHERE id = ?", [id]);
+    }
+
+    // Workers that sent a heartbeat within the last `maxAge` ms.
+    async live(maxAge) {
+        return database.all(
+            "SELECT id, hostname, pid, concurrency, activeJobs, healthy, started, heartbeat FROM workers WHERE heartbeat >= ? ORDER BY started",
+            [Date.now() - maxAge]
+        );
+    }
+
+    // Deletes the rows of workers that died without unregistering.
+    async prune() {
+        await database.run("DELETE FROM workers WHERE heartbeat < ?", [Date.now() - FORGET_AFTER]);
+    }
+}
+
+module.exports = new WorkerRegistry();
@@ -0,0 +1,27 @@
+const path = require('path');
+
+const projectRoot = path.join(__dirname, '..', '..');
+
+// Patterns that can carry secrets in command lines echoed by keytool, jarsigner and apksigner.
+const SECRET_PATTERNS = [
+    /(-(?:storepass|keypass|srcstorepass|srckeypass|deststorepass|destkeypass)\s+)("[^"]*"|\S+)/gi,
+    /(--(?:ks-pass|key-pass)\s+)(\S+)/gi
+];
+
+/**
+ * Removes secrets and server paths from a message so it can be shown to
+ * clients, and truncates it to `maxLength` characters.
+ */
+function sanitizeMessage(message, maxLength = 1000) {
+    let text = String(message || '');
+    for (const pattern of SECRET_PATTERNS) {
+        text = text.replace(pattern, '$1***');
+    }
+    text = text.split(projectRoot).join('.');
+    if (text.length > maxLength) {
+        text = `${text.slice(0, maxLength)}…`;
+    }
+    return text;
+}
+
+module.exports = { sanitizeMessage };
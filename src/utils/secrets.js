@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Secrets are stored as "enc:v1:<iv>:<tag>:<ciphertext>" (base64 parts),
+// encrypted with AES-256-GCM under the master key from the environment.
+const PREFIX = 'enc:v1:';
+
+function getMasterKey() {
+    if (!config.keystoreMasterKey) {
+        throw new Error('KEYSTORE_MASTER_KEY is not set.');
+    }
+    // Accept any string and derive a 256-bit key from it.
+    return crypto.createHash('sha256').update(config.keystoreMasterKey).digest();
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getMasterKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return PREFIX + [iv, tag, ciphertext].map((part) => part.toString('base64')).join(':');
+}
+
+function decryptSecret(value) {
+    // Values written before encryption was introduced are plaintext.
+    if (!isEncrypted(value)) return value;
+
+    const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getMasterKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Generates a random password that is safe to pass to keytool on the command line.
+function generatePassword(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Compares two strings without leaking their contents through timing.
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = { encryptSecret, decryptSecret, isEncrypted, generatePassword, safeEqual };
@@ -0,0 +1,115 @@
+// Minimal schema validator used for request bodies. A schema maps field names
+// to rules: { type, required, enum, min, max, maxItems, items, properties, check }.
+// Errors use the same { field, expectedType } shape as the /convert
+// "missingParams" response, with an optional message for semantic failures.
+
+const HEX_COLOR = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'color':
+            return typeof value === 'string' && HEX_COLOR.test(value);
+        case 'url':
+            if (typeof value !== 'string') return false;
+            try {
+                const url = new URL(value);
+                return url.protocol === 'http:' || url.protocol === 'https:';
+            } catch (e) {
+                return false;
+            }
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeOf(value) === 'object';
+        default:
+            return typeof value === type;
+    }
+}
+
+function describeType(rule) {
+    if (rule.enum) return `one of ${rule.enum.join(', ')}`;
+    if (rule.type === 'color') return 'color (#RRGGBB)';
+    if (rule.type === 'array' && rule.items) return `array of ${describeType(rule.items)}`;
+    return rule.type;
+}
+
+function validateValue(value, rule, field, errors) {
+    const expectedType = describeType(rule);
+
+    if (!matchesType(value, rule.type)) {
+        errors.push({ field, expectedType });
+        return;
+    }
+    if (rule.type === 'string' && value.trim() === '') {
+        errors.push({ field, expectedType, message: 'Must not be empty.' });
+        return;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, expectedType });
+        return;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, expectedType, message: `Must be at least ${rule.min}.` });
+        return;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field, expectedType, message: `Must be at most ${rule.max}.` });
+        return;
+    }
+    if (rule.type === 'array') {
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            errors.push({ field, expectedType, message: `Must have at most ${rule.maxItems} items.` });
+            return;
+        }
+        if (rule.items) {
+            value.forEach((item, index) => validateValue(item, rule.items, `${field}[${index}]`, errors));
+        }
+    }
+    if (rule.type === 'object' && rule.properties) {
+        validateObject(value, rule.properties, field, errors);
+    }
+    if (rule.check) {
+        const message = rule.check(value);
+        if (message) errors.push({ field, expectedType, message });
+    }
+}
+
+/**
+ * Validates an object against a schema and returns a list of field errors.
+ * An empty list means the object is valid.
+ */
+function validateObject(value, schema, prefix, errors = []) {
+    const fieldName = (name) => (prefix ? `${prefix}.${name}` : name);
+
+    for (const name of Object.keys(value)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+            errors.push({ field: fieldName(name), expectedType: 'undefined', message: 'Unknown field.' });
+        }
+    }
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const fieldValue = value[name];
+        if (fieldValue === undefined) {
+            if (rule.required) {
+                errors.push({ field: fieldName(name), expectedType: describeType(rule) });
+            }
+            continue;
+        }
+        validateValue(fieldValue, rule, fieldName(name), errors);
+    }
+
+    return errors;
+}
+
+module.exports = { validateObject };
@@ -0,0 +1,53 @@
+const config = require('./config/config');
+const database = require('./services/database');
+const preflight = require('./services/preflight');
+const worker = require('./services/worker');
+
+// Build worker process: claims conversion jobs enqueued by the API server
+// (src/app.js) from the shared SQLite database and runs them. Start as many
+// as the machine can take; each runs WORKER_CONCURRENCY builds at a time.
+
+async function start() {
+  if (!config.keystoreMasterKey) {
+    throw new Error("KEYSTORE_MASTER_KEY must be set to decrypt keystore passwords.");
+  }
+
+  await database.init();
+
+  // Jobs are only claimed while the build environment passes the checks.
+  const status = await preflight.run();
+  if (status.healthy) {
+    console.log('Preflight checks passed.');
+  } else {
+    console.error('Preflight checks failed; no jobs are claimed until they pass:', preflight.failures());
+  }
+  preflight.start(() => worker.poll());
+
+  await worker.start();
+  console.log(`Worker ${worker.id} started (concurrency ${worker.concurrency}).`);
+}
+
+// SIGTERM (sent by pm2 and container runtimes) and SIGINT stop claiming,
+// let the running builds finish or requeue them, then exit.
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`${signal} received, shutting down worker ${worker.id}...`);
+  try {
+    await worker.stop();
+    await database.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("Error during shutdown:", err);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch((err) => {
+  console.error("Error starting worker:", err);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-versions-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'jobs.sqlite');
+
+const database = require('../src/services/database');
+const apiKeys = require('../src/services/apiKeys');
+const appVersions = require('../src/services/appVersions');
+
+before(() => database.init());
+after(async () => {
+    await database.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('an app can only be built by the API key that first built it', async () => {
+    const owner = await apiKeys.create({ name: 'owner' });
+    const other = await apiKeys.create({ name: 'other' });
+
+    assert.strictEqual(await appVersions.mayBuild('example.com', other.id), true);
+    assert.strictEqual(await appVersions.reserveVersion('example.com', owner.id, 'com.example.twa', undefined, 1), 1);
+
+    assert.strictEqual(await appVersions.getOwner('example.com'), owner.id);
+    assert.strictEqual(await appVersions.mayBuild('example.com', owner.id), true);
+    assert.strictEqual(await appVersions.mayBuild('example.com', other.id), false);
+    await assert.rejects(
+        appVersions.reserveVersion('example.com', other.id, 'com.attacker.twa', 100),
+        /belongs to another API key/
+    );
+
+    // The refused build changed nothing.
+    const app = await appVersions.getApp('example.com');
+    assert.strictEqual(app.packageId, 'com.example.twa');
+    assert.strictEqual(app.lastVersionCode, 1);
+    assert.strictEqual(await appVersions.reserveVersion('example.com', owner.id, 'com.example.twa', undefined, 1), 2);
+});
+
+test('an admin can give an app to an API key before its first build', async () => {
+    const owner = await apiKeys.create({ name: 'owner' });
+    const other = await apiKeys.create({ name: 'other' });
+
+    await appVersions.setOwner('uploaded.example.com', owner.id);
+    await assert.rejects(
+        appVersions.reserveVersion('uploaded.example.com', other.id, 'com.example.uploaded', undefined, 1),
+        /belongs to another API key/
+    );
+    assert.strictEqual(await appVersions.reserveVersion('uploaded.example.com', owner.id, 'com.example.uploaded', undefined, 5), 5);
+    // Local CLI builds have no API key and keep the owner.
+    assert.strictEqual(await appVersions.reserveVersion('uploaded.example.com', null, 'com.example.uploaded', undefined, 1), 6);
+    assert.strictEqual(await appVersions.getOwner('uploaded.example.com'), owner.id);
+});
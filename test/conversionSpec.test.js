@@ -0,0 +1,44 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fetchModule = require('../src/services/fetch');
+
+let inFlight = 0;
+let maxInFlight = 0;
+const requested = [];
+mock.method(fetchModule, 'robustFetch', async (url) => {
+    requested.push(url);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    inFlight--;
+    return {
+        ok: true,
+        url,
+        json: async () => ({
+            name: 'Example',
+            start_url: '/',
+            icons: [{ src: '/icon.png', sizes: '512x512', type: 'image/png' }]
+        })
+    };
+});
+
+const { checkBatchManifests } = require('../src/services/conversionSpec');
+
+test('a batch downloads each manifest once, a few at a time', async () => {
+    const payloads = Array.from({ length: 20 }, (_, index) => ({
+        url: `https://site${index % 10}.example.com/`,
+        manifestUrl: `https://site${index % 10}.example.com/manifest.json`
+    }));
+    assert.deepStrictEqual(await checkBatchManifests(payloads), []);
+    assert.strictEqual(requested.length, 10);
+    assert.strictEqual(new Set(requested).size, 10);
+    assert.ok(maxInFlight <= 4, `${maxInFlight} manifests were downloaded at once`);
+});
+
+test('batch manifest errors name the entry they belong to', async () => {
+    fetchModule.robustFetch.mock.mockImplementationOnce(async () => ({ ok: false, status: 404 }));
+    const errors = await checkBatchManifests([
+        { url: 'https://missing.example.com/', manifestUrl: 'https://missing.example.com/manifest.json' }
+    ]);
+    assert.deepStrictEqual(errors.map((error) => error.field), ['jobs[0].manifestUrl']);
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+process.env.DATABASE_PATH = path.join(dataDir, 'jobs.sqlite');
+
+const database = require('../src/services/database');
+const apiKeys = require('../src/services/apiKeys');
+const batches = require('../src/services/batches');
+const jobQueue = require('../src/services/jobQueue');
+
+before(() => database.init());
+after(async () => {
+    await database.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const payload = { url: 'https://example.com/' };
+
+test('concurrent submissions cannot exceed the concurrent job limit', async () => {
+    const apiKey = await apiKeys.create({ name: 'concurrent', maxConcurrentJobs: 2, maxBuildsPerDay: 100 });
+    const results = await Promise.all(Array.from({ length: 5 }, (_, index) =>
+        jobQueue.enqueue(`concurrent-${index}`, payload, { apiKeyId: apiKey.id, limits: apiKeys.limits(apiKey) })
+    ));
+    assert.strictEqual(results.filter(Boolean).length, 2);
+    const { total } = await jobQueue.list({ apiKeyId: apiKey.id }, {});
+    assert.strictEqual(total, 2);
+});
+
+test('concurrent submissions cannot exceed the daily build limit', async () => {
+    const apiKey = await apiKeys.create({ name: 'daily', maxConcurrentJobs: 100, maxBuildsPerDay: 3 });
+    const results = await Promise.all(Array.from({ length: 5 }, (_, index) =>
+        jobQueue.enqueue(`daily-${index}`, payload, { apiKeyId: apiKey.id, limits: apiKeys.limits(apiKey) })
+    ));
+    assert.strictEqual(results.filter(Boolean).length, 3);
+});
+
+test('a batch that does not fit the daily limit queues none of its jobs', async () => {
+    const apiKey = await apiKeys.create({ name: 'batch', maxConcurrentJobs: 1, maxBuildsPerDay: 4 });
+    const limits = apiKeys.limits(apiKey, { concurrent: false });
+    const [first, second] = await Promise.all([
+        batches.create(apiKey.id, [payload, payload, payload], {}, limits),
+        batches.create(apiKey.id, [payload, payload, payload], {}, limits)
+    ]);
+    assert.strictEqual([first, second].filter(Boolean).length, 1);
+    const { total } = await jobQueue.list({ apiKeyId: apiKey.id }, {});
+    assert.strictEqual(total, 3);
+});
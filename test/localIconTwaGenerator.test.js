@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TwaManifest } = require('@bubblewrap/core');
+const { fetchUtils } = require('@bubblewrap/core/dist/lib/FetchUtils');
+const { LocalIconTwaGenerator, LOCAL_ICON_URL } = require('../src/services/localIconTwaGenerator');
+
+test('createTwaProject writes the downloaded web manifest without fetching it again', async (t) => {
+    const requests = [];
+    t.mock.method(fetchUtils, 'fetch', async (url) => {
+        requests.push(url);
+        throw new Error(`Unexpected request to ${url}`);
+    });
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twa-project-'));
+    // Bubblewrap finishes some template writes after createTwaProject resolves.
+    process.on('exit', () => fs.rmSync(projectDir, { recursive: true, force: true }));
+
+    const manifestUrl = new URL('https://example.com/manifest.json');
+    const webManifest = {
+        name: 'Example',
+        short_name: 'Example',
+        start_url: 'https://example.com/',
+        display: 'standalone',
+        icons: [{ src: 'https://example.com/icon.png', sizes: '512x512' }]
+    };
+    const twaManifest = TwaManifest.fromWebManifestJson(manifestUrl, webManifest);
+    twaManifest.iconUrl = LOCAL_ICON_URL;
+    twaManifest.maskableIconUrl = undefined;
+    assert.strictEqual(twaManifest.webManifestUrl.toString(), manifestUrl.toString());
+
+    const log = { debug() {}, info() {}, warn() {}, error() {} };
+    await new LocalIconTwaGenerator({ webManifest }).createTwaProject(projectDir, twaManifest, log);
+
+    assert.deepStrictEqual(requests, []);
+    const written = JSON.parse(fs.readFileSync(path.join(projectDir, 'app/src/main/res/raw/web_app_manifest.json'), 'utf8'));
+    assert.deepStrictEqual(written, { ...webManifest, start_url: twaManifest.startUrl });
+});